@@ -1,3 +1,9 @@
+CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER NOT NULL PRIMARY KEY,
+  description TEXT NOT NULL,
+  applied INTEGER NOT NULL
+);
+
 CREATE TABLE IF NOT EXISTS comment (
   _id TEXT NOT NULL,
   uid TEXT NOT NULL,
@@ -19,22 +25,293 @@ CREATE TABLE IF NOT EXISTS comment (
   like TEXT NOT NULL,
   top INTEGER NOT NULL,
   avatar TEXT NOT NULL,
-  PRIMARY KEY (url, created DESC)
+  edited INTEGER NOT NULL DEFAULT 0,
+  site TEXT NOT NULL DEFAULT '',
+  spamScore REAL,
+  spamLabel INTEGER,
+  PRIMARY KEY (site, url, created DESC)
 );
 
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comment_id ON comment (_id);
 CREATE INDEX IF NOT EXISTS idx_comment_created ON comment (created DESC);
+CREATE INDEX IF NOT EXISTS idx_comment_site_created ON comment (site, created DESC);
 CREATE INDEX IF NOT EXISTS idx_comment_ip_created ON comment (ip, created DESC);
+CREATE INDEX IF NOT EXISTS idx_comment_rid ON comment (rid);
+CREATE INDEX IF NOT EXISTS idx_comment_pid ON comment (pid);
+CREATE INDEX IF NOT EXISTS idx_comment_uid ON comment (uid);
 
 CREATE TABLE IF NOT EXISTS config (
-  value TEXT NOT NULL
+  value TEXT NOT NULL,
+  site TEXT NOT NULL DEFAULT ''
 );
 
+CREATE UNIQUE INDEX IF NOT EXISTS idx_config_site ON config (site);
+
 INSERT INTO config (value) SELECT '' WHERE NOT EXISTS (SELECT 1 FROM config);
 
 CREATE TABLE IF NOT EXISTS counter (
-  url TEXT NOT NULL PRIMARY KEY,
+  site TEXT NOT NULL DEFAULT '',
+  url TEXT NOT NULL,
   title TEXT NOT NULL,
   time INTEGER NOT NULL,
   created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (site, url)
+);
+
+CREATE TABLE IF NOT EXISTS image (
+  site TEXT NOT NULL DEFAULT '',
+  hash TEXT NOT NULL,
+  key TEXT NOT NULL,
+  mime TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  uid TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  PRIMARY KEY (site, hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_site_created ON image (site, created DESC);
+CREATE INDEX IF NOT EXISTS idx_image_hash ON image (hash);
+CREATE INDEX IF NOT EXISTS idx_image_key ON image (key);
+
+CREATE TABLE IF NOT EXISTS session (
+  id TEXT NOT NULL PRIMARY KEY,
+  ip TEXT NOT NULL,
+  ua TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  expires INTEGER NOT NULL,
+  site TEXT NOT NULL DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS rate_limit (
+  key TEXT NOT NULL,
+  slot INTEGER NOT NULL,
+  count INTEGER NOT NULL,
+  expires INTEGER NOT NULL,
+  PRIMARY KEY (key, slot)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_expires ON rate_limit (expires);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS comment_fts USING fts5(
+  nick, mail, link, ip, comment, url, href,
+  content = 'comment',
+  tokenize = 'trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS comment_fts_insert AFTER INSERT ON comment BEGIN
+  INSERT INTO comment_fts (rowid, nick, mail, link, ip, comment, url, href)
+  VALUES (new.rowid, new.nick, new.mail, new.link, new.ip, new.comment, new.url, new.href);
+END;
+
+CREATE TRIGGER IF NOT EXISTS comment_fts_delete AFTER DELETE ON comment BEGIN
+  INSERT INTO comment_fts (comment_fts, rowid, nick, mail, link, ip, comment, url, href)
+  VALUES ('delete', old.rowid, old.nick, old.mail, old.link, old.ip, old.comment, old.url, old.href);
+END;
+
+CREATE TRIGGER IF NOT EXISTS comment_fts_update AFTER UPDATE OF nick, mail, link, ip, comment, url, href ON comment BEGIN
+  INSERT INTO comment_fts (comment_fts, rowid, nick, mail, link, ip, comment, url, href)
+  VALUES ('delete', old.rowid, old.nick, old.mail, old.link, old.ip, old.comment, old.url, old.href);
+  INSERT INTO comment_fts (rowid, nick, mail, link, ip, comment, url, href)
+  VALUES (new.rowid, new.nick, new.mail, new.link, new.ip, new.comment, new.url, new.href);
+END;
+
+CREATE TABLE IF NOT EXISTS comment_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  commentId TEXT NOT NULL,
+  action TEXT NOT NULL,
+  url TEXT NOT NULL,
+  nick TEXT NOT NULL,
+  comment TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  site TEXT NOT NULL DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_history_comment ON comment_history (commentId, created DESC);
+CREATE INDEX IF NOT EXISTS idx_comment_history_created ON comment_history (created DESC);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,
+  target TEXT NOT NULL,
+  before TEXT NOT NULL,
+  after TEXT NOT NULL,
+  session TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  site TEXT NOT NULL DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action_created ON audit_log (action, created DESC);
+
+CREATE TABLE IF NOT EXISTS stats (
+  site TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (site, key)
+);
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  commentId TEXT NOT NULL,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  error TEXT NOT NULL,
+  nextAttempt INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  site TEXT NOT NULL DEFAULT '',
+  recipient TEXT NOT NULL DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_status_next ON notification_outbox (status, nextAttempt);
+
+CREATE TABLE IF NOT EXISTS subscription (
+  site TEXT NOT NULL DEFAULT '',
+  mail TEXT NOT NULL,
+  url TEXT NOT NULL,
+  rid TEXT NOT NULL,
+  subscribed INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (site, mail, url, rid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_site_url_rid ON subscription (site, url, rid);
+
+CREATE TABLE IF NOT EXISTS import_job (
+  id TEXT NOT NULL PRIMARY KEY,
+  site TEXT NOT NULL,
+  source TEXT NOT NULL,
+  fileHash TEXT NOT NULL,
+  status TEXT NOT NULL,
+  total INTEGER NOT NULL,
+  processed INTEGER NOT NULL,
+  imported INTEGER NOT NULL,
+  skipped INTEGER NOT NULL,
+  error TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_job_site_created ON import_job (site, created DESC);
+
+CREATE TABLE IF NOT EXISTS counter_visitor (
+  site TEXT NOT NULL,
+  url TEXT NOT NULL,
+  visitor TEXT NOT NULL,
+  expires INTEGER NOT NULL,
+  PRIMARY KEY (site, url, visitor)
+);
+
+CREATE INDEX IF NOT EXISTS idx_counter_visitor_expires ON counter_visitor (expires);
+
+CREATE TABLE IF NOT EXISTS counter_daily (
+  site TEXT NOT NULL,
+  url TEXT NOT NULL,
+  day TEXT NOT NULL,
+  views INTEGER NOT NULL,
+  PRIMARY KEY (site, url, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_counter_daily_site_day ON counter_daily (site, day);
+
+CREATE TABLE IF NOT EXISTS comment_reaction (
+  commentId TEXT NOT NULL,
+  uid TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  PRIMARY KEY (commentId, uid, kind)
+);
+
+CREATE TRIGGER IF NOT EXISTS comment_reaction_delete AFTER DELETE ON comment BEGIN
+  DELETE FROM comment_reaction WHERE commentId = old._id;
+END;
+
+CREATE TABLE IF NOT EXISTS webhook_delivery (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  event TEXT NOT NULL,
+  commentId TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  responseStatus INTEGER NOT NULL,
+  response TEXT NOT NULL,
+  error TEXT NOT NULL,
+  nextAttempt INTEGER NOT NULL,
+  created INTEGER NOT NULL,
   updated INTEGER NOT NULL
 );
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_status_next ON webhook_delivery (status, nextAttempt);
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_site_id ON webhook_delivery (site, id DESC);
+
+CREATE TABLE IF NOT EXISTS spam_token (
+  site TEXT NOT NULL,
+  token TEXT NOT NULL,
+  spam INTEGER NOT NULL,
+  ham INTEGER NOT NULL,
+  PRIMARY KEY (site, token)
+);
+
+CREATE TABLE IF NOT EXISTS ban (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site TEXT NOT NULL,
+  type TEXT NOT NULL,
+  value TEXT NOT NULL,
+  rangeStart TEXT NOT NULL,
+  rangeEnd TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  expires INTEGER NOT NULL,
+  created INTEGER NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ban_site_type_value ON ban (site, type, value);
+CREATE INDEX IF NOT EXISTS idx_ban_site_range ON ban (site, type, rangeStart);
+
+CREATE TABLE IF NOT EXISTS captcha_nonce (
+  nonce TEXT NOT NULL PRIMARY KEY,
+  expires INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_captcha_nonce_expires ON captcha_nonce (expires);
+
+-- 已有站点的配置中还没有的签名密钥
+UPDATE config SET value = json_set(value,
+  '$.ADMIN_SESSION_SECRET', COALESCE(NULLIF(json_extract(value, '$.ADMIN_SESSION_SECRET'), ''), lower(hex(randomblob(32)))),
+  '$.CAPTCHA_SECRET', COALESCE(NULLIF(json_extract(value, '$.CAPTCHA_SECRET'), ''), lower(hex(randomblob(32)))),
+  '$.UNSUBSCRIBE_SECRET', COALESCE(NULLIF(json_extract(value, '$.UNSUBSCRIBE_SECRET'), ''), lower(hex(randomblob(32))))
+)
+WHERE json_valid(value);
+
+-- 与 src/migrations.js 保持一致
+INSERT OR IGNORE INTO schema_version VALUES
+  (1, '初始化评论、配置、计数器表', 0),
+  (2, '新增图片表', 0),
+  (3, '新增管理员会话表', 0),
+  (4, '新增限流表', 0),
+  (5, '新增评论全文索引', 0),
+  (6, '新增回复关系索引', 0),
+  (7, '支持作者修改、删除评论', 0),
+  (8, '新增管理员操作日志', 0),
+  (9, '新增定时任务统计', 0),
+  (10, '新增通知队列', 0),
+  (11, '新增评论订阅表', 0),
+  (12, '支持多站点', 0),
+  (13, '新增评论导入任务', 0),
+  (14, '新增访客去重与每日访问统计', 0),
+  (15, '新增评论表态表', 0),
+  (16, '新增 Webhook 投递记录', 0),
+  (17, '新增垃圾评论分类器', 0),
+  (18, '新增封禁列表', 0),
+  (19, '新增验证码挑战记录', 0),
+  (20, '回复通知按收件人拆分任务', 0),
+  (21, '预先生成签名密钥', 0),
+  (22, '图片按站点记录', 0);
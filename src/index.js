@@ -4,10 +4,12 @@
  * Released under the MIT License.
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks'
 import { v4 as uuidv4 } from 'uuid' // 用户 id 生成
 import xss from 'xss'
 import {
   getCheerio,
+  getMarked,
   getMd5,
   getSha256,
   getXml2js,
@@ -15,7 +17,9 @@ import {
 } from 'twikoo-func/utils/lib'
 import {
   getFuncVersion,
+  getRelativeUrl,
   parseComment,
+  toCommentDto,
   normalizeMail,
   equalsMail,
   getMailMd5,
@@ -38,86 +42,214 @@ import {
   commentImportTwikoo
 } from 'twikoo-func/utils/import'
 import { postCheckSpam } from 'twikoo-func/utils/spam'
-import { sendNotice, emailTest } from 'twikoo-func/utils/notify'
+import { noticeMaster, noticePushoo, emailTest, appendHashToUrl } from 'twikoo-func/utils/notify'
 import { uploadImage } from 'twikoo-func/utils/image'
 import logger from 'twikoo-func/utils/logger'
+import MIGRATIONS from './migrations.js'
 
 // 常量 / constants
 import constants from 'twikoo-func/utils/constants'
 
-// 注入Cloudflare特定的依赖（原依赖于Cloudflare不兼容）
-setCustomLibs({
-  DOMPurify: {
-    sanitize (input) {
-      return input
+// 邮件服务：url 为接口地址，request 生成请求头和请求体
+// SMTP_USER 为账户名（Mailgun 为发信域名），SMTP_PASS 为 API 令牌
+const MAIL_PROVIDERS = {
+  sendgrid: {
+    url: () => 'https://api.sendgrid.com/v3/mail/send',
+    request: (mail, auth) => jsonRequest({
+      personalizations: [{ to: [{ email: mail.to }] }],
+      from: mail.from,
+      reply_to: mail.replyTo ? { email: mail.replyTo } : undefined,
+      subject: mail.subject,
+      content: [{ type: 'text/plain', value: mail.text }, { type: 'text/html', value: mail.html }]
+    }, { 'Authorization': `Bearer ${auth.pass}` })
+  },
+  mailchannels: {
+    url: () => 'https://api.mailchannels.net/tx/v1/send',
+    request: (mail, auth) => jsonRequest({
+      personalizations: [{ to: [{ email: mail.to }] }],
+      from: mail.from,
+      reply_to: mail.replyTo ? { email: mail.replyTo } : undefined,
+      subject: mail.subject,
+      content: [{ type: 'text/plain', value: mail.text }, { type: 'text/html', value: mail.html }]
+    }, { 'X-Api-Key': auth.pass })
+  },
+  resend: {
+    url: () => 'https://api.resend.com/emails',
+    request: (mail, auth) => jsonRequest({
+      from: formatMailAddress(mail.from),
+      to: [mail.to],
+      reply_to: mail.replyTo || undefined,
+      subject: mail.subject,
+      html: mail.html,
+      text: mail.text
+    }, { 'Authorization': `Bearer ${auth.pass}` })
+  },
+  mailgun: {
+    url: (auth) => `https://api.mailgun.net/v3/${encodeURIComponent(auth.user)}/messages`,
+    request: (mail, auth) => {
+      const body = new FormData()
+      body.append('from', formatMailAddress(mail.from))
+      body.append('to', mail.to)
+      body.append('subject', mail.subject)
+      body.append('html', mail.html)
+      body.append('text', mail.text)
+      if (mail.replyTo) body.append('h:Reply-To', mail.replyTo)
+      return { headers: { 'Authorization': `Basic ${btoa(`api:${auth.pass}`)}` }, body }
     }
   },
+  postmark: {
+    url: () => 'https://api.postmarkapp.com/email',
+    request: (mail, auth) => jsonRequest({
+      From: formatMailAddress(mail.from),
+      To: mail.to,
+      ReplyTo: mail.replyTo || undefined,
+      Subject: mail.subject,
+      HtmlBody: mail.html,
+      TextBody: mail.text,
+      MessageStream: 'outbound'
+    }, { 'X-Postmark-Server-Token': auth.pass })
+  },
+  brevo: {
+    url: () => 'https://api.brevo.com/v3/smtp/email',
+    request: (mail, auth) => jsonRequest({
+      sender: mail.from.name ? mail.from : { email: mail.from.email },
+      to: [{ email: mail.to }],
+      replyTo: mail.replyTo ? { email: mail.replyTo } : undefined,
+      subject: mail.subject,
+      htmlContent: mail.html,
+      textContent: mail.text
+    }, { 'api-key': auth.pass })
+  },
+  // 将邮件以 JSON 格式发送到 MAIL_API_URL，由自己的服务转发
+  webhook: {
+    url: () => '',
+    request: (mail, auth) => jsonRequest(mail, { 'Authorization': `Bearer ${auth.pass}` })
+  }
+}
+// Brevo 原名 Sendinblue
+MAIL_PROVIDERS.sendinblue = MAIL_PROVIDERS.brevo
 
-  nodemailer: {
-    createTransport (config) {
-      return {
-        verify () {
-          if (!config.service || (config.service.toLowerCase() !== 'sendgrid' && config.service.toLowerCase() !== 'mailchannels')) {
-            throw new Error('仅支持 SendGrid 和 MailChannels 邮件服务。')
-          }
-          if (!config.auth || !config.auth.user) {
-            throw new Error('需要在 SMTP_USER 中配置账户名，如果邮件服务不需要可随意填写。')
-          }
-          if (!config.auth || !config.auth.pass) {
-            throw new Error('需要在 SMTP_PASS 中配置 API 令牌。')
-          }
-          return true
-        },
-
-        sendMail ({ from, to, subject, html }) {
-          if (config.service.toLowerCase() === 'sendgrid') {
-            return fetch('https://api.sendgrid.com/v3/mail/send', {
-              method: 'POST',
-              headers: {
-                'Authorization': `Bearer ${config.auth.pass}`,
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                personalizations: [{ to: [{ email: to }] }],
-                from: { email: from },
-                subject,
-                content: [{ type: 'text/html', value: html }],
-              })
-            })
-          } else if (config.service.toLowerCase() === 'mailchannels') {
-            return fetch('https://api.mailchannels.net/tx/v1/send', {
-              method: 'POST',
-              headers: {
-                'X-Api-Key': config.auth.pass,
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                personalizations: [{ to: [{ email: to }] }],
-                from: { email: from },
-                subject,
-                content: [{ type: 'text/html', value: html }],
-              })
-            })
+function jsonRequest (body, headers) {
+  return {
+    headers: {
+      ...headers,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  }
+}
+
+// 解析 "名称" <地址> 格式的发件人
+function parseMailAddress (address) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(address ?? '')
+  if (!match) return { name: '', email: (address ?? '').trim() }
+  return { name: match[1].trim(), email: match[2].trim() }
+}
+
+function formatMailAddress ({ name, email }) {
+  return name ? `"${name.replace(/"/g, '')}" <${email}>` : email
+}
+
+// 生成邮件的纯文本内容
+function htmlToText (html) {
+  const text = $.load(String(html ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h\d|li|tr)>/gi, '$&\n')
+  ).text()
+  return text.split('\n').map((line) => line.trim()).filter(Boolean).join('\n')
+}
+
+// 使用 HTTP 接口发送邮件，代替不兼容的 nodemailer
+const nodemailer = {
+  createTransport (transportConfig) {
+    const service = transportConfig.service?.toLowerCase()
+    // twikoo-func 会缓存创建的邮件服务，切换站点后需要改用当前站点的配置
+    const transportSite = getContext().site
+    return {
+      verify () {
+        const { config } = getContext()
+        if (!MAIL_PROVIDERS[service]) {
+          throw new Error(`仅支持 ${Object.keys(MAIL_PROVIDERS).join('、')} 邮件服务，请在 SMTP_SERVICE 中配置。`)
+        }
+        if (!transportConfig.auth || !transportConfig.auth.user) {
+          throw new Error('需要在 SMTP_USER 中配置账户名，如果邮件服务不需要可随意填写。')
+        }
+        if (!transportConfig.auth || !transportConfig.auth.pass) {
+          throw new Error('需要在 SMTP_PASS 中配置 API 令牌。')
+        }
+        if (!MAIL_PROVIDERS[service].url(transportConfig.auth) && !config.MAIL_API_URL) {
+          throw new Error('需要在 MAIL_API_URL 中配置接收邮件的地址。')
+        }
+        return true
+      },
+
+      async sendMail (options) {
+        const { site, config } = getContext()
+        if (transportSite !== site) {
+          const transport = createMailTransport()
+          if (!transport) {
+            logger.info('未配置邮箱或邮箱配置有误，不通知')
+            return { skipped: true }
           }
+          return transport.sendMail(options)
         }
+        const { from, to, subject, html, text, replyTo } = options
+        const provider = MAIL_PROVIDERS[service]
+        const sender = parseMailAddress(from)
+        // 未配置 SENDER_NAME 时，twikoo-func 生成的发件人名称为 "undefined"
+        if (sender.name === 'undefined') sender.name = ''
+        const mail = {
+          from: { name: sender.name || config.SENDER_NAME || '', email: sender.email },
+          to,
+          subject,
+          html,
+          text: text ?? htmlToText(html),
+          replyTo: replyTo ?? config.MAIL_REPLY_TO ?? ''
+        }
+        // 配置 MAIL_API_URL 后发送到该地址，可用于本地测试或服务商的其他区域
+        const url = config.MAIL_API_URL || provider.url(transportConfig.auth)
+        const resp = await fetch(url, {
+          method: 'POST',
+          ...provider.request(mail, transportConfig.auth)
+        })
+        // 发送失败时抛出异常，以便通知队列重试、邮件测试显示错误
+        if (!resp.ok) {
+          throw new Error(`邮件发送失败：${resp.status} ${await resp.text()}`)
+        }
+        return { provider: service, status: resp.status }
       }
     }
   }
+}
+
+// 注入Cloudflare特定的依赖（原依赖于Cloudflare不兼容）
+setCustomLibs({
+  DOMPurify: {
+    sanitize (input) {
+      return input
+    }
+  },
+
+  nodemailer
 })
 
 const $ = getCheerio()
+const marked = getMarked()
 const md5 = getMd5()
 const sha256 = getSha256()
 const xml2js = getXml2js()
 
-const { RES_CODE, MAX_REQUEST_TIMES } = constants
+const { RES_CODE } = constants
 const VERSION = '1.6.40'
 
 // 全局变量 / variables
-let config
-let accessToken
-const requestTimes = {}
+let schemaChecked = false
+// 最近一次请求的云函数地址，未配置 WORKER_URL 时用于生成退订链接
+let workerUrl
+// 请求和后台任务各自的上下文：site 为所属站点（默认站点为空字符串），config 为该站点的配置，
+// accessToken 和 adminSession 为请求者的身份。后台任务和定时任务会与其他站点的请求并发执行，不能共用全局变量
+const contextStorage = new AsyncLocalStorage()
 
 class DBBinding {
   constructor (binding) {
@@ -127,78 +259,147 @@ class DBBinding {
   get commentCountQuery () {
     return this._commentCountQuery ?? (this._commentCountQuery = this.DB.prepare(`
 SELECT COUNT(*) AS count FROM comment
-WHERE url = ?1 AND rid = "" AND (isSpam != ?2 OR uid = ?3)
+WHERE site = ?4 AND url = ?1 AND rid = "" AND (isSpam != ?2 OR uid = ?3)
 `.trim()))
   }
 
-  get commentQuery () {
-    return this._commentQuery ?? (this._commentQuery = this.DB.prepare(`
-SELECT * FROM comment
-WHERE
-  url = ?1 AND
-  (isSpam != ?2 OR uid = ?3) AND
-  created < ?4 AND
-  top = ?5 AND
-  rid = ""
-ORDER BY created DESC
-LIMIT ?6
+  /**
+   * 主楼查询，按排序值、created、_id 排序，以上一页最后一条评论的这三个值为游标分页
+   * @param {String} sort 排序方式，见 commentSorts
+   */
+  getCommentQuery (sort) {
+    if (!this.commentQueryCache) this.commentQueryCache = new Map()
+    const cached = this.commentQueryCache.get(sort)
+    if (cached) return cached
+    const { score, order } = DBBinding.commentSorts[sort]
+    const result = this.DB.prepare(`
+SELECT * FROM (
+  SELECT comment.*, ${score} AS _score FROM comment
+  WHERE
+    site = ?1 AND
+    url = ?2 AND
+    (isSpam != ?3 OR uid = ?4) AND
+    top = ?5 AND
+    rid = ''
+)
+WHERE (_score, created, _id) ${order === 'DESC' ? '<' : '>'} (?6, ?7, ?8)
+ORDER BY _score ${order}, created ${order}, _id ${order}
+LIMIT ?9
+`.trim())
+    this.commentQueryCache.set(sort, result)
+    return result
+  }
+
+  // 按时间排序时排序值均为 0
+  static commentSorts = {
+    newest: { score: '0', order: 'DESC' },
+    oldest: { score: '0', order: 'ASC' },
+    likes: {
+      score: "(SELECT COUNT(*) FROM comment_reaction WHERE commentId = comment._id AND kind = 'like')",
+      order: 'DESC'
+    },
+    replies: {
+      score: '(SELECT COUNT(*) FROM comment AS reply WHERE reply.rid = comment._id AND NOT reply.isSpam)',
+      order: 'DESC'
+    }
+  }
+
+  // 每个主楼按时间读取前 ?6 条回复，_total 为该楼的回复总数
+  get replyQuery () {
+    return this._replyQuery ?? (this._replyQuery = this.DB.prepare(`
+SELECT * FROM (
+  SELECT
+    comment.*,
+    ROW_NUMBER() OVER (PARTITION BY rid ORDER BY created, _id) AS _row,
+    COUNT(*) OVER (PARTITION BY rid) AS _total
+  FROM comment
+  WHERE
+    site = ?1 AND
+    url = ?2 AND
+    (isSpam != ?3 OR uid = ?4) AND
+    rid IN (SELECT value FROM json_each(?5))
+)
+WHERE _row <= ?6
+ORDER BY created, _id
 `.trim()))
   }
 
-  static replyQueryTemplate = `
+  get replyPageQuery () {
+    return this._replyPageQuery ?? (this._replyPageQuery = this.DB.prepare(`
 SELECT * FROM comment
 WHERE
-  url = ?1 AND
-  (isSpam != ?2 OR uid = ?3) AND
-  rid IN ({{RIDS}})
-`.trim()
+  site = ?1 AND
+  rid = ?2 AND
+  (isSpam != ?3 OR uid = ?4) AND
+  (created, _id) > (?5, ?6)
+ORDER BY created, _id
+LIMIT ?7
+`.trim()))
+  }
 
-  getReplyQuery (numParams) {
-    if (!this.replyQueryCache) this.replyQueryCache = new Map()
-    const cached = this.replyQueryCache.get(numParams)
-    if (cached) return cached
-    const result = this.DB.prepare(DBBinding.replyQueryTemplate.replace(
-      '{{RIDS}}',	new Array(numParams).fill('?').join(', ')))
-    this.replyQueryCache.set(numParams, result)
-    return result
+  get commentNicksQuery () {
+    return this._commentNicksQuery ?? (this._commentNicksQuery = this.DB.prepare(
+      'SELECT _id, nick FROM comment WHERE _id IN (SELECT value FROM json_each(?1)) AND site = ?2'
+    ))
   }
 
-  get commentForAdminCountQuery () {
-    return this._commentForAdminCountQuery ?? (this._commentForAdminCountQuery = this.DB.prepare(`
-SELECT COUNT(*) AS count FROM comment
+  /**
+   * 管理员评论查询，根据检索条件生成
+   * @param {Boolean} options.fts 是否使用全文索引
+   * @param {Array} options.likes 每个 LIKE 条件匹配的字段
+   * @param {Array} options.filters 使用的筛选条件，见 commentFilterConditions
+   * @param {String} options.mode count（计数）、id（仅读取 ID）、keyset（游标分页）或 offset（兼容页码分页）
+   */
+  getCommentForAdminQuery ({ fts, likes, filters = [], mode }) {
+    if (!this.commentForAdminQueryCache) this.commentForAdminQueryCache = new Map()
+    const cacheKey = JSON.stringify({ fts, likes, filters, mode })
+    const cached = this.commentForAdminQueryCache.get(cacheKey)
+    if (cached) return cached
+    const from = fts ? 'comment_fts JOIN comment ON comment.rowid = comment_fts.rowid' : 'comment'
+    const conditions = ['comment.site = ?', 'comment.isSpam != ?']
+    if (fts) conditions.push('comment_fts MATCH ?')
+    for (const fields of likes) {
+      conditions.push(`(${fields.map((field) => `comment.${field} LIKE ?`).join(' OR ')})`)
+    }
+    for (const filter of filters) {
+      conditions.push(DBBinding.commentFilterConditions[filter])
+    }
+    let sql
+    if (mode === 'count') {
+      sql = `SELECT COUNT(*) AS count FROM ${from}\nWHERE\n  ${conditions.join(' AND\n  ')}`
+    } else if (mode === 'id') {
+      sql = `SELECT comment._id FROM ${from}\nWHERE\n  ${conditions.join(' AND\n  ')}`
+    } else {
+      if (mode === 'keyset') {
+        conditions.push(fts
+          ? '(comment_fts.rank > ? OR (comment_fts.rank = ? AND comment._id > ?))'
+          : '(comment.created < ? OR (comment.created = ? AND comment._id < ?))')
+      }
+      sql = `
+SELECT comment.*${fts ? ', comment_fts.rank AS _rank' : ''} FROM ${from}
 WHERE
-  isSpam != ?1 AND
-  (nick LIKE ?2 OR
-  mail LIKE ?2 OR
-  link LIKE ?2 OR
-  ip LIKE ?2 OR
-  comment LIKE ?2 OR
-  url LIKE ?2 OR
-  href LIKE ?2)
-`.trim()))
+  ${conditions.join(' AND\n  ')}
+ORDER BY ${fts ? 'comment_fts.rank, comment._id' : 'comment.created DESC, comment._id DESC'}
+LIMIT ?${mode === 'offset' ? ' OFFSET ?' : ''}
+`.trim()
+    }
+    const result = this.DB.prepare(sql)
+    this.commentForAdminQueryCache.set(cacheKey, result)
+    return result
   }
 
-  get commentForAdminQuery () {
-    return this._commentForAdminQuery ?? (this._commentForAdminQuery = this.DB.prepare(`
-SELECT * FROM comment
-WHERE
-  isSpam != ?1 AND
-  (nick LIKE ?2 OR
-  mail LIKE ?2 OR
-  link LIKE ?2 OR
-  ip LIKE ?2 OR
-  comment LIKE ?2 OR
-  url LIKE ?2 OR
-  href LIKE ?2)
-  ORDER BY created DESC
-  LIMIT ?3 OFFSET ?4
-`.trim()))
+  static commentFilterConditions = {
+    ip: 'comment.ip = ?',
+    mail: 'comment.mail = ? COLLATE NOCASE',
+    url: 'comment.url = ?',
+    after: 'comment.created >= ?',
+    before: 'comment.created < ?'
   }
 
   static commentSetStmtTemplate = `
 UPDATE comment
 SET {{FIELDS}}
-WHERE _id = ?
+WHERE _id = ? AND site = ?
 `.trim()
 
   getCommentSetStmt (fields) {
@@ -215,49 +416,255 @@ WHERE _id = ?
 
   get commentDeleteStmt () {
     return this._commentDeleteStmt ?? (this._commentDeleteStmt =
-      this.DB.prepare('DELETE FROM comment WHERE _id = ?1')
+      this.DB.prepare('DELETE FROM comment WHERE _id = ?1 AND site = ?2')
     )
   }
 
-  get commentExportQuery () {
-    return this._commentExportQuery ?? (this._commentExportQuery =
-      this.DB.prepare('SELECT * FROM comment')
+  static commentBulkSetStmtTemplate = `
+UPDATE comment
+SET {{FIELDS}}
+WHERE _id IN (SELECT value FROM json_each(?)) AND site = ?
+`.trim()
+
+  getCommentBulkSetStmt (fields) {
+    if (!this.commentBulkSetStmtCache) this.commentBulkSetStmtCache = new Map()
+    const cacheKey = JSON.stringify(fields)
+    const cached = this.commentBulkSetStmtCache.get(cacheKey)
+    if (cached) return cached
+    const result = this.DB.prepare(DBBinding.commentBulkSetStmtTemplate.replace(
+      '{{FIELDS}}', fields.map(field => `${field} = ?`).join(', ')
+    ))
+    this.commentBulkSetStmtCache.set(cacheKey, result)
+    return result
+  }
+
+  get commentBulkDeleteStmt () {
+    return this._commentBulkDeleteStmt ?? (this._commentBulkDeleteStmt =
+      this.DB.prepare('DELETE FROM comment WHERE _id IN (SELECT value FROM json_each(?1)) AND site = ?2')
     )
   }
 
+  // 评论及其所有回复（主楼的回复 rid 指向主楼，楼中楼的回复 pid 指向被回复的评论）
+  get commentSubtreeQuery () {
+    return this._commentSubtreeQuery ?? (this._commentSubtreeQuery = this.DB.prepare(`
+WITH RECURSIVE subtree (_id) AS (
+  SELECT value FROM json_each(?1)
+  UNION
+  SELECT comment._id FROM comment JOIN subtree
+  ON comment.rid = subtree._id OR comment.pid = subtree._id
+)
+SELECT _id FROM subtree
+`.trim()))
+  }
+
+  /**
+   * 评论导出查询，按页面、时间和 ID 排序，以上一页最后一条评论为游标分页
+   * @param {Array} filters 使用的筛选条件，见 commentExportConditions
+   */
+  getCommentExportQuery (filters) {
+    if (!this.commentExportQueryCache) this.commentExportQueryCache = new Map()
+    const cacheKey = JSON.stringify(filters)
+    const cached = this.commentExportQueryCache.get(cacheKey)
+    if (cached) return cached
+    const conditions = [
+      'comment.site = ?',
+      ...filters.map((filter) => DBBinding.commentExportConditions[filter]),
+      '(comment.url, comment.created, comment._id) > (?, ?, ?)'
+    ]
+    const result = this.DB.prepare(`
+SELECT
+  comment.*,
+  counter.title AS _title,
+  (SELECT json_group_array(uid) FROM comment_reaction WHERE commentId = comment._id AND kind = 'like') AS _likes
+FROM comment
+LEFT JOIN counter ON counter.site = comment.site AND counter.url = comment.url
+WHERE
+  ${conditions.join(' AND\n  ')}
+ORDER BY comment.url, comment.created, comment._id
+LIMIT ?
+`.trim())
+    this.commentExportQueryCache.set(cacheKey, result)
+    return result
+  }
+
+  static commentExportConditions = {
+    url: "comment.url LIKE ? ESCAPE '\\'",
+    after: 'comment.created >= ?',
+    before: 'comment.created < ?',
+    visible: 'comment.isSpam = 0'
+  }
+
   get commentByIdQuery () {
     return this._commentByIdQuery ?? (this._commentByIdQuery =
       this.DB.prepare('SELECT * FROM comment WHERE _id = ?1')
     )
   }
 
-  get updateLikeStmt () {
-    return this._updateLikeStmt ?? (this._updateLikeStmt =
-      this.DB.prepare('UPDATE comment SET like = ?2 WHERE _id = ?1')
+  get reactionDeleteStmt () {
+    return this._reactionDeleteStmt ?? (this._reactionDeleteStmt =
+      this.DB.prepare('DELETE FROM comment_reaction WHERE commentId = ?1 AND uid = ?2 AND kind = ?3')
     )
   }
 
+  // 与 reactionDeleteStmt 在同一个 batch 中执行：未删除表态时才添加，实现原子的切换
+  get reactionToggleStmt () {
+    return this._reactionToggleStmt ?? (this._reactionToggleStmt = this.DB.prepare(`
+INSERT OR IGNORE INTO comment_reaction (commentId, uid, kind, created)
+SELECT ?1, ?2, ?3, ?4
+WHERE changes() = 0 AND EXISTS (SELECT 1 FROM comment WHERE _id = ?1 AND site = ?5)
+`.trim()))
+  }
+
+  get reactionCountQuery () {
+    return this._reactionCountQuery ?? (this._reactionCountQuery = this.DB.prepare(
+      'SELECT COUNT(*) AS count FROM comment_reaction WHERE commentId = ?1 AND kind = ?2'
+    ))
+  }
+
+  // 各评论每种表态的数量，以及当前用户是否已表态
+  get reactionsQuery () {
+    return this._reactionsQuery ?? (this._reactionsQuery = this.DB.prepare(`
+SELECT commentId, kind, COUNT(*) AS count, MAX(uid = ?2) AS reacted FROM comment_reaction
+WHERE commentId IN (SELECT value FROM json_each(?1))
+GROUP BY commentId, kind
+`.trim()))
+  }
+
+  get reactionImportStmt () {
+    return this._reactionImportStmt ?? (this._reactionImportStmt = this.DB.prepare(`
+INSERT OR IGNORE INTO comment_reaction (commentId, uid, kind, created)
+SELECT ?1, value, 'like', ?3 FROM json_each(?2)
+`.trim()))
+  }
+
+  static saveCommentSql = `
+INSERT INTO comment (
+  _id, uid, nick, mail, mailMd5, link, ua, ip, master, url,
+  href, comment, pid, rid, isSpam, created, updated, like, top, avatar, site, spamScore
+) VALUES (
+  ?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10,
+  ?11, ?12, ?13, ?14, ?15, ?16, ?17, ?18, ?19, ?20, ?21, ?22
+)
+`.trim()
+
   get saveCommentStmt () {
     return this._saveCommentStmt ?? (this._saveCommentStmt =
-      this.DB.prepare(`
-INSERT INTO comment VALUES (
-  ?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10,
-  ?11, ?12, ?13, ?14, ?15, ?16, ?17, ?18, ?19, ?20
+      this.DB.prepare(DBBinding.saveCommentSql)
+    )
+  }
+
+  // 导入的评论 ID 由来源 ID 生成，已导入过的评论，以及与已有评论的页面和时间相同（主键冲突）的评论直接跳过
+  get importCommentStmt () {
+    return this._importCommentStmt ?? (this._importCommentStmt =
+      this.DB.prepare(`${DBBinding.saveCommentSql}\nON CONFLICT DO NOTHING`)
+    )
+  }
+
+  get existingCommentIdsQuery () {
+    return this._existingCommentIdsQuery ?? (this._existingCommentIdsQuery =
+      this.DB.prepare('SELECT _id FROM comment WHERE _id IN (SELECT value FROM json_each(?1))')
+    )
+  }
+
+  // ?2 为 [url, created] 数组
+  get existingCommentKeysQuery () {
+    return this._existingCommentKeysQuery ?? (this._existingCommentKeysQuery = this.DB.prepare(`
+SELECT url, created FROM comment
+WHERE site = ?1 AND (url, created) IN (
+  SELECT json_extract(value, '$[0]'), json_extract(value, '$[1]') FROM json_each(?2)
 )
 `.trim()))
   }
 
-  get commentCountSinceByIpQuery () {
-    return this._commentCountSinceByIpQuery ?? (this._commentCountSinceByIpQuery = this.DB.prepare(`
-SELECT COUNT(*) AS count FROM comment
-WHERE created > ?1 AND ip = ?2
+  get saveImportJobStmt () {
+    return this._saveImportJobStmt ?? (this._saveImportJobStmt = this.DB.prepare(`
+INSERT INTO import_job (id, site, source, fileHash, status, total, processed, imported, skipped, error, created, updated)
+VALUES (?1, ?2, ?3, ?4, 'running', ?5, 0, 0, 0, '', ?6, ?6)
+RETURNING *
+`.trim()))
+  }
+
+  get importJobQuery () {
+    return this._importJobQuery ?? (this._importJobQuery =
+      this.DB.prepare('SELECT * FROM import_job WHERE id = ?1 AND site = ?2')
+    )
+  }
+
+  // 重新上传同一文件时继续未完成的任务
+  get unfinishedImportJobQuery () {
+    return this._unfinishedImportJobQuery ?? (this._unfinishedImportJobQuery = this.DB.prepare(`
+SELECT * FROM import_job
+WHERE site = ?1 AND source = ?2 AND fileHash = ?3 AND status != 'done'
+ORDER BY created DESC
+LIMIT 1
+`.trim()))
+  }
+
+  get importJobsQuery () {
+    return this._importJobsQuery ?? (this._importJobsQuery = this.DB.prepare(`
+SELECT * FROM import_job
+WHERE site = ?1
+ORDER BY created DESC
+LIMIT ?2
+`.trim()))
+  }
+
+  get importJobProgressStmt () {
+    return this._importJobProgressStmt ?? (this._importJobProgressStmt = this.DB.prepare(`
+UPDATE import_job
+SET status = ?2, processed = ?3, imported = imported + ?4, skipped = skipped + ?5, error = '', updated = ?6
+WHERE id = ?1
+`.trim()))
+  }
+
+  get importJobFailStmt () {
+    return this._importJobFailStmt ?? (this._importJobFailStmt = this.DB.prepare(`
+UPDATE import_job
+SET status = 'failed', error = ?2, updated = ?3
+WHERE id = ?1
 `.trim()))
   }
 
-  get commentCountSinceQuery () {
-    return this._commentCountSinceQuery ?? (this._commentCountSinceQuery = this.DB.prepare(`
+  get updateCommentByUserStmt () {
+    return this._updateCommentByUserStmt ?? (this._updateCommentByUserStmt = this.DB.prepare(`
+UPDATE comment SET comment = ?2, isSpam = ?3, edited = ?4, updated = ?4, spamScore = ?5 WHERE _id = ?1
+`.trim()))
+  }
+
+  get replyCountQuery () {
+    return this._replyCountQuery ?? (this._replyCountQuery = this.DB.prepare(`
 SELECT COUNT(*) AS count FROM comment
-WHERE created > ?1
+WHERE rid = ?1 OR pid = ?1
+`.trim()))
+  }
+
+  get saveCommentHistoryStmt () {
+    return this._saveCommentHistoryStmt ?? (this._saveCommentHistoryStmt = this.DB.prepare(`
+INSERT INTO comment_history (commentId, action, url, nick, comment, ip, created, site)
+VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8)
+`.trim()))
+  }
+
+  get commentHistoryByIdQuery () {
+    return this._commentHistoryByIdQuery ?? (this._commentHistoryByIdQuery = this.DB.prepare(`
+SELECT * FROM comment_history
+WHERE commentId = ?1 AND site = ?2
+ORDER BY created DESC
+`.trim()))
+  }
+
+  get commentHistoryCountQuery () {
+    return this._commentHistoryCountQuery ?? (this._commentHistoryCountQuery =
+      this.DB.prepare('SELECT COUNT(*) AS count FROM comment_history WHERE site = ?1')
+    )
+  }
+
+  get commentHistoryQuery () {
+    return this._commentHistoryQuery ?? (this._commentHistoryQuery = this.DB.prepare(`
+SELECT * FROM comment_history
+WHERE site = ?3
+ORDER BY created DESC
+LIMIT ?1 OFFSET ?2
 `.trim()))
   }
 
@@ -269,22 +676,56 @@ UPDATE comment SET isSpam = ?2, updated = ?3 WHERE _id = ?1
 
   get incCounterStmt () {
     return this._incCounterStmt ?? (this._incCounterStmt = this.DB.prepare(`
-INSERT INTO counter VALUES
-(?1, ?2, 1, ?3, ?3)
-ON CONFLICT (url) DO UPDATE SET time = time + 1, title = ?2, updated = ?3
+INSERT INTO counter (site, url, title, time, created, updated) VALUES
+(?4, ?1, ?2, 1, ?3, ?3)
+ON CONFLICT (site, url) DO UPDATE SET time = time + 1, title = ?2, updated = ?3
 `.trim()))
   }
 
   get counterQuery () {
     return this._counterQuery ?? (this._counterQuery =
-      this.DB.prepare('SELECT time FROM counter WHERE url = ?1')
+      this.DB.prepare('SELECT time FROM counter WHERE site = ?2 AND url = ?1')
+    )
+  }
+
+  // 窗口内已访问过的访客冲突，不返回记录
+  get counterVisitStmt () {
+    return this._counterVisitStmt ?? (this._counterVisitStmt = this.DB.prepare(`
+INSERT INTO counter_visitor (site, url, visitor, expires) VALUES (?1, ?2, ?3, ?4)
+ON CONFLICT (site, url, visitor) DO NOTHING
+RETURNING expires
+`.trim()))
+  }
+
+  get counterVisitorPurgeStmt () {
+    return this._counterVisitorPurgeStmt ?? (this._counterVisitorPurgeStmt =
+      this.DB.prepare('DELETE FROM counter_visitor WHERE expires <= ?1')
     )
   }
 
+  get incCounterDailyStmt () {
+    return this._incCounterDailyStmt ?? (this._incCounterDailyStmt = this.DB.prepare(`
+INSERT INTO counter_daily (site, url, day, views) VALUES (?1, ?2, ?3, 1)
+ON CONFLICT (site, url, day) DO UPDATE SET views = views + 1
+`.trim()))
+  }
+
+  get counterDailyQuery () {
+    return this._counterDailyQuery ?? (this._counterDailyQuery = this.DB.prepare(`
+SELECT counter_daily.url, counter.title, counter_daily.day, counter_daily.views FROM counter_daily
+LEFT JOIN counter ON counter.site = counter_daily.site AND counter.url = counter_daily.url
+WHERE
+  counter_daily.site = ?1 AND
+  counter_daily.day BETWEEN ?2 AND ?3 AND
+  (?4 = '' OR counter_daily.url = ?4)
+ORDER BY counter_daily.url, counter_daily.day
+`.trim()))
+  }
+
   get commentCountByUrlQuery () {
     return this._commentCountByUrlQuery ?? (this._commentCountByUrlQuery = this.DB.prepare(`
 SELECT COUNT(*) AS count FROM comment
-WHERE url = ?1 AND NOT isSpam AND (?2 OR rid = "")
+WHERE site = ?3 AND url = ?1 AND NOT isSpam AND (?2 OR rid = "")
 `.trim()))
   }
 
@@ -292,316 +733,4115 @@ WHERE url = ?1 AND NOT isSpam AND (?2 OR rid = "")
     return this._recentCommentsByUrlQuery ?? (this._recentCommentsByUrlQuery = this.DB.prepare(`
 SELECT * FROM comment
 WHERE
+  site = ?5 AND
   (?1 OR url = ?2) AND
   NOT isSpam AND
-  (?3 OR rid = "") AND
+  (?3 OR rid = "")
+ORDER BY created DESC
 LIMIT ?4
 `.trim()))
   }
 
+  get counterTitleQuery () {
+    return this._counterTitleQuery ?? (this._counterTitleQuery =
+      this.DB.prepare('SELECT title FROM counter WHERE site = ?2 AND url = ?1')
+    )
+  }
+
   get readConfigQuery () {
     return this._readConfigQuery ?? (this._readConfigQuery =
+      this.DB.prepare('SELECT value FROM config WHERE site = ?1')
+    )
+  }
+
+  // 支持多站点之前，config 表只有一行
+  get legacyConfigQuery () {
+    return this._legacyConfigQuery ?? (this._legacyConfigQuery =
       this.DB.prepare('SELECT value FROM config LIMIT 1')
     )
   }
 
   get writeConfigStmt () {
-    return this._writeConfigStmt ?? (this._writeConfigStmt =
-      this.DB.prepare('UPDATE config SET value = ?1')
+    return this._writeConfigStmt ?? (this._writeConfigStmt = this.DB.prepare(`
+INSERT INTO config (site, value) VALUES (?2, ?1)
+ON CONFLICT (site) DO UPDATE SET value = excluded.value
+`.trim()))
+  }
+
+  get siteConfigsQuery () {
+    return this._siteConfigsQuery ?? (this._siteConfigsQuery =
+      this.DB.prepare('SELECT site, value FROM config WHERE site != \'\' ORDER BY site')
     )
   }
-}
 
-let db
+  get addSiteStmt () {
+    return this._addSiteStmt ?? (this._addSiteStmt = this.DB.prepare(`
+INSERT INTO config (site, value) VALUES (?1, ?2)
+ON CONFLICT (site) DO NOTHING
+RETURNING site
+`.trim()))
+  }
 
-function setDb (DB) {
-  if (db) {
-    logger.log('重用已有数据库绑定')
-    return
+  get imageByHashQuery () {
+    return this._imageByHashQuery ?? (this._imageByHashQuery =
+      this.DB.prepare('SELECT * FROM image WHERE hash = ?1 AND site = ?2')
+    )
   }
-  logger.log('创建新的数据库绑定')
-  db = new DBBinding(DB)
-}
 
-export default {
-  /**
-   * @param {Request} request
-   * @returns {Response}
-   */
-  async fetch (request, env) {
-    setDb(env.DB)
-    let event
-    try {
-      event = await request.json()
-    } catch {
-      event = {}
-    }
-    logger.log('请求 IP：', getIp(request))
-    logger.log('请求函数：', event.event)
-    logger.log('请求参数：', event)
-    let res = {}
-    const headers = {}
-    try {
-      protect(request)
-      accessToken = anonymousSignIn(event)
-      await readConfig()
-      allowCors(request, headers)
-      if (request.method === 'OPTIONS') {
-        return new Response(null, { status: 204, headers })
-      }
-      switch (event.event) {
-        case 'GET_FUNC_VERSION':
-          res = getFuncVersion({ VERSION })
-          break
-        case 'COMMENT_GET':
-          res = await commentGet(event)
-          break
-        case 'COMMENT_GET_FOR_ADMIN':
-          res = await commentGetForAdmin(event)
-          break
-        case 'COMMENT_SET_FOR_ADMIN':
-          res = await commentSetForAdmin(event)
-          break
-        case 'COMMENT_DELETE_FOR_ADMIN':
-          res = await commentDeleteForAdmin(event)
-          break
-        case 'COMMENT_IMPORT_FOR_ADMIN':
-          res = await commentImportForAdmin(event)
-          break
-        case 'COMMENT_LIKE':
-          res = await commentLike(event)
-          break
-        case 'COMMENT_SUBMIT':
-          res = await commentSubmit(event, request)
-          break
-        case 'COUNTER_GET':
-          res = await counterGet(event)
-          break
-        case 'GET_PASSWORD_STATUS':
-          res = await getPasswordStatus(config, VERSION)
-          break
-        case 'SET_PASSWORD':
-          res = await setPassword(event)
-          break
-        case 'GET_CONFIG':
-          res = await getConfig({ config, VERSION, isAdmin: isAdmin() })
-          break
-        case 'GET_CONFIG_FOR_ADMIN':
-          res = await getConfigForAdmin({ config, isAdmin: isAdmin() })
-          break
-        case 'SET_CONFIG':
-          res = await setConfig(event)
-          break
-        case 'LOGIN':
-          res = await login(event.password)
-          break
-        case 'GET_COMMENTS_COUNT': // >= 0.2.7
-          res = await getCommentsCount(event)
-          break
-        case 'GET_RECENT_COMMENTS': // >= 0.2.7
-          res = await getRecentComments(event)
-          break
-        case 'EMAIL_TEST': // >= 1.4.6
-          res = await emailTest(event, config, isAdmin())
-        break
-        case 'UPLOAD_IMAGE': // >= 1.5.0
-          if (env.R2_PUBLIC_URL) {
-            res = await r2_upload(event, env.R2, env.R2_PUBLIC_URL)
-          } else {
-            res = await uploadImage(event, config)
-          }
-          break
-        case 'COMMENT_EXPORT_FOR_ADMIN': // >= 1.6.13
-          res = await commentExportForAdmin(event)
-          break
-        default:
-          if (event.event) {
-            res.code = RES_CODE.EVENT_NOT_EXIST
-            res.message = '请更新 Twikoo 云函数至最新版本'
-          } else {
-            res.code = RES_CODE.NO_PARAM
-            res.message = 'Twikoo 云函数运行正常，请参考 https://twikoo.js.org/frontend.html 完成前端的配置'
-            res.version = VERSION
-          }
-      }
-    } catch (e) {
-      logger.error('Twikoo 遇到错误，请参考以下错误信息。如有疑问，请反馈至 https://github.com/twikoojs/twikoo/issues')
-      logger.error('请求参数：', event)
-      logger.error('错误信息：', e)
-      res.code = RES_CODE.FAIL
-      res.message = e.message
-    }
-    if (!res.code && !request.body.accessToken) {
-      res.accessToken = accessToken
-    }
-    logger.log('请求返回：', res)
-    headers['content-type'] = 'application/json;charset=UTF-8'
-    return new Response(JSON.stringify(res), { headers })
+  // 相同内容的图片在存储桶中只保存一份，其他站点上传过时沿用其对象
+  get imageKeyByHashQuery () {
+    return this._imageKeyByHashQuery ?? (this._imageKeyByHashQuery =
+      this.DB.prepare('SELECT key FROM image WHERE hash = ?1 LIMIT 1')
+    )
   }
-}
 
-function allowCors (request, headers) {
-  const origin = request.headers.get('origin')
-  if (origin) {
-    headers['Access-Control-Allow-Credentials'] = true
-    headers['Access-Control-Allow-Origin'] = getAllowedOrigin(origin)
-    headers['Access-Control-Allow-Methods'] = 'POST'
-    headers['Access-Control-Allow-Headers'] =
-      'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-    headers['Access-Control-Max-Age'] = '600'
+  get saveImageStmt () {
+    return this._saveImageStmt ?? (this._saveImageStmt = this.DB.prepare(`
+INSERT INTO image (hash, key, mime, size, uid, ip, created, site) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8)
+ON CONFLICT (site, hash) DO NOTHING
+`.trim()))
   }
-}
 
-function getAllowedOrigin (origin) {
-  const localhostRegex = /^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d{1,5})?$/
-  if (localhostRegex.test(origin)) { // 判断是否为本地主机，如是则允许跨域
-    return origin // Allow
-  } else if (config.CORS_ALLOW_ORIGIN) { // 如设置了安全域名则检查
-    // 适配多条 CORS 规则
-    // 以逗号分隔 CORS
-    const corsList = config.CORS_ALLOW_ORIGIN.split(',')
-    // 遍历 CORS 列表
-    for (let i = 0; i < corsList.length; i++) {
-      const cors = corsList[i].replace(/\/$/, '') // 获取当前 CORS 并去除末尾的斜杠
-      if (cors === origin) {
-        return origin // Allow
-      }
-    }
-    return '' // 不在安全域名列表中则禁止跨域
-  } else {
-    return origin // 未设置安全域名直接 Allow
+  get imageCountQuery () {
+    return this._imageCountQuery ?? (this._imageCountQuery =
+      this.DB.prepare('SELECT COUNT(*) AS count FROM image WHERE site = ?1')
+    )
   }
-}
 
-function anonymousSignIn (event) {
-  if (event.accessToken) {
-    return event.accessToken
-  } else {
+  get imageQuery () {
+    return this._imageQuery ?? (this._imageQuery = this.DB.prepare(`
+SELECT * FROM image
+WHERE site = ?3
+ORDER BY created DESC
+LIMIT ?1 OFFSET ?2
+`.trim()))
+  }
+
+  get imageRefQuery () {
+    return this._imageRefQuery ?? (this._imageRefQuery = this.DB.prepare(`
+SELECT _id, url, nick, created FROM comment
+WHERE site = ?2 AND instr(comment, ?1) > 0
+ORDER BY created DESC
+`.trim()))
+  }
+
+  // 图片可能被其他站点的评论引用，任何评论都没有引用的才算孤立图片
+  get orphanImageQuery () {
+    return this._orphanImageQuery ?? (this._orphanImageQuery = this.DB.prepare(`
+SELECT * FROM image
+WHERE
+  site = ?2 AND
+  created < ?1 AND
+  NOT EXISTS (SELECT 1 FROM comment WHERE instr(comment.comment, image.key) > 0)
+`.trim()))
+  }
+
+  get imageDeleteStmt () {
+    return this._imageDeleteStmt ?? (this._imageDeleteStmt =
+      this.DB.prepare('DELETE FROM image WHERE hash = ?1 AND site = ?2')
+    )
+  }
+
+  // 仍有站点记录的对象，?1 为对象 key 数组
+  get imageKeysInUseQuery () {
+    return this._imageKeysInUseQuery ?? (this._imageKeysInUseQuery =
+      this.DB.prepare('SELECT DISTINCT key FROM image WHERE key IN (SELECT value FROM json_each(?1))')
+    )
+  }
+
+  get sessionQuery () {
+    return this._sessionQuery ?? (this._sessionQuery =
+      this.DB.prepare('SELECT * FROM session WHERE id = ?1 AND expires > ?2 AND site = ?3')
+    )
+  }
+
+  get saveSessionStmt () {
+    return this._saveSessionStmt ?? (this._saveSessionStmt =
+      this.DB.prepare('INSERT INTO session (id, ip, ua, created, expires, site) VALUES (?1, ?2, ?3, ?4, ?5, ?6)')
+    )
+  }
+
+  get sessionDeleteStmt () {
+    return this._sessionDeleteStmt ?? (this._sessionDeleteStmt =
+      this.DB.prepare('DELETE FROM session WHERE id = ?1')
+    )
+  }
+
+  get sessionDeleteAllStmt () {
+    return this._sessionDeleteAllStmt ?? (this._sessionDeleteAllStmt =
+      this.DB.prepare('DELETE FROM session WHERE site = ?1')
+    )
+  }
+
+  get sessionDeleteExpiredStmt () {
+    return this._sessionDeleteExpiredStmt ?? (this._sessionDeleteExpiredStmt =
+      this.DB.prepare('DELETE FROM session WHERE expires <= ?1')
+    )
+  }
+
+  get rateLimitHitStmt () {
+    return this._rateLimitHitStmt ?? (this._rateLimitHitStmt = this.DB.prepare(`
+INSERT INTO rate_limit VALUES (?1, ?2, 1, ?3)
+ON CONFLICT (key, slot) DO UPDATE SET count = count + 1
+RETURNING count
+`.trim()))
+  }
+
+  get rateLimitQuery () {
+    return this._rateLimitQuery ?? (this._rateLimitQuery =
+      this.DB.prepare('SELECT count FROM rate_limit WHERE key = ?1 AND slot = ?2')
+    )
+  }
+
+  get rateLimitDeleteStmt () {
+    return this._rateLimitDeleteStmt ?? (this._rateLimitDeleteStmt =
+      this.DB.prepare('DELETE FROM rate_limit WHERE key = ?1')
+    )
+  }
+
+  get rateLimitPurgeStmt () {
+    return this._rateLimitPurgeStmt ?? (this._rateLimitPurgeStmt =
+      this.DB.prepare('DELETE FROM rate_limit WHERE expires < ?1')
+    )
+  }
+
+  get captchaNonceUseStmt () {
+    return this._captchaNonceUseStmt ?? (this._captchaNonceUseStmt = this.DB.prepare(`
+INSERT INTO captcha_nonce (nonce, expires) VALUES (?1, ?2)
+ON CONFLICT (nonce) DO NOTHING
+RETURNING nonce
+`.trim()))
+  }
+
+  get captchaNoncePurgeStmt () {
+    return this._captchaNoncePurgeStmt ?? (this._captchaNoncePurgeStmt =
+      this.DB.prepare('DELETE FROM captcha_nonce WHERE expires <= ?1')
+    )
+  }
+
+  // approved：该用户有通过审核的评论（传入邮箱时须为同一邮箱）；flagged：该用户有被管理员标记为垃圾的评论
+  get captchaTrustQuery () {
+    return this._captchaTrustQuery ?? (this._captchaTrustQuery = this.DB.prepare(`
+      SELECT
+        COALESCE(MAX(isSpam = 0 AND (?3 IS NULL OR lower(mail) = lower(?3))), 0) AS approved,
+        COALESCE(MAX(spamLabel = 1), 0) AS flagged
+      FROM comment WHERE uid = ?1 AND site = ?2`))
+  }
+
+  // IP 以十六进制字符串比较范围；邮箱和链接传入所有可能匹配的值（地址本身及各级域名）
+  get banMatchQuery () {
+    return this._banMatchQuery ?? (this._banMatchQuery = this.DB.prepare(`
+SELECT * FROM ban
+WHERE site = ?1 AND (expires = 0 OR expires > ?2) AND (
+  (type = 'ip' AND rangeStart <= ?3 AND rangeEnd >= ?3) OR
+  (type = 'uid' AND value = ?4) OR
+  (type = 'mail' AND value IN (SELECT value FROM json_each(?5))) OR
+  (type = 'link' AND value IN (SELECT value FROM json_each(?6))) OR
+  (?7 AND type = 'keyword')
+)
+`.trim()))
+  }
+
+  get saveBanStmt () {
+    return this._saveBanStmt ?? (this._saveBanStmt = this.DB.prepare(`
+INSERT INTO ban (site, type, value, rangeStart, rangeEnd, reason, expires, created)
+VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8)
+ON CONFLICT (site, type, value) DO UPDATE SET reason = excluded.reason, expires = excluded.expires, created = excluded.created
+RETURNING *
+`.trim()))
+  }
+
+  get banCountQuery () {
+    return this._banCountQuery ?? (this._banCountQuery = this.DB.prepare(`
+SELECT COUNT(*) AS count FROM ban
+WHERE site = ?2 AND (?1 = '' OR type = ?1)
+`.trim()))
+  }
+
+  get banQuery () {
+    return this._banQuery ?? (this._banQuery = this.DB.prepare(`
+SELECT * FROM ban
+WHERE site = ?4 AND (?1 = '' OR type = ?1)
+ORDER BY id DESC
+LIMIT ?2 OFFSET ?3
+`.trim()))
+  }
+
+  get banDeleteStmt () {
+    return this._banDeleteStmt ?? (this._banDeleteStmt = this.DB.prepare(`
+DELETE FROM ban
+WHERE id IN (SELECT value FROM json_each(?1)) AND site = ?2
+RETURNING *
+`.trim()))
+  }
+
+  get commentsByIdsQuery () {
+    return this._commentsByIdsQuery ?? (this._commentsByIdsQuery =
+      this.DB.prepare('SELECT * FROM comment WHERE _id IN (SELECT value FROM json_each(?1)) AND site = ?2')
+    )
+  }
+
+  get saveAuditLogStmt () {
+    return this._saveAuditLogStmt ?? (this._saveAuditLogStmt = this.DB.prepare(`
+INSERT INTO audit_log (action, target, before, after, session, ip, created, site)
+VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8)
+`.trim()))
+  }
+
+  get auditLogPurgeStmt () {
+    return this._auditLogPurgeStmt ?? (this._auditLogPurgeStmt =
+      this.DB.prepare('DELETE FROM audit_log WHERE created < ?1 AND site = ?2')
+    )
+  }
+
+  get auditLogCountQuery () {
+    return this._auditLogCountQuery ?? (this._auditLogCountQuery = this.DB.prepare(`
+SELECT COUNT(*) AS count FROM audit_log
+WHERE site = ?2 AND (?1 = '' OR action = ?1)
+`.trim()))
+  }
+
+  get auditLogQuery () {
+    return this._auditLogQuery ?? (this._auditLogQuery = this.DB.prepare(`
+SELECT * FROM audit_log
+WHERE site = ?4 AND (?1 = '' OR action = ?1)
+ORDER BY created DESC
+LIMIT ?2 OFFSET ?3
+`.trim()))
+  }
+
+  get spamPurgeStmt () {
+    return this._spamPurgeStmt ?? (this._spamPurgeStmt =
+      this.DB.prepare('DELETE FROM comment WHERE site = ?2 AND isSpam = 1 AND created < ?1')
+    )
+  }
+
+  get commentIpAnonymizeStmt () {
+    return this._commentIpAnonymizeStmt ?? (this._commentIpAnonymizeStmt =
+      this.DB.prepare(`UPDATE comment SET ip = '' WHERE site = ?2 AND ip != '' AND created < ?1`)
+    )
+  }
+
+  get commentHistoryIpAnonymizeStmt () {
+    return this._commentHistoryIpAnonymizeStmt ?? (this._commentHistoryIpAnonymizeStmt =
+      this.DB.prepare(`UPDATE comment_history SET ip = '' WHERE site = ?2 AND ip != '' AND created < ?1`)
+    )
+  }
+
+  get imageIpAnonymizeStmt () {
+    return this._imageIpAnonymizeStmt ?? (this._imageIpAnonymizeStmt =
+      this.DB.prepare(`UPDATE image SET ip = '' WHERE site = ?2 AND ip != '' AND created < ?1`)
+    )
+  }
+
+  get statsRecomputeStmt () {
+    return this._statsRecomputeStmt ?? (this._statsRecomputeStmt = this.DB.prepare(`
+INSERT INTO stats (site, key, value, updated)
+SELECT site, 'pages', (SELECT COUNT(*) FROM counter WHERE counter.site = config.site), ?1 FROM config
+UNION ALL SELECT site, 'views', (SELECT IFNULL(SUM(time), 0) FROM counter WHERE counter.site = config.site), ?1 FROM config
+UNION ALL SELECT site, 'comments', (SELECT COUNT(*) FROM comment WHERE comment.site = config.site AND isSpam != 1), ?1 FROM config
+UNION ALL SELECT site, 'spam', (SELECT COUNT(*) FROM comment WHERE comment.site = config.site AND isSpam = 1), ?1 FROM config
+`.trim()))
+  }
+
+  // 重新计算前清空已删除站点的统计
+  get statsDeleteStmt () {
+    return this._statsDeleteStmt ?? (this._statsDeleteStmt =
+      this.DB.prepare('DELETE FROM stats')
+    )
+  }
+
+  get statsQuery () {
+    return this._statsQuery ?? (this._statsQuery =
+      this.DB.prepare('SELECT key, value, updated FROM stats WHERE site = ?1')
+    )
+  }
+
+  static backupQueryTemplate = `
+SELECT rowid AS _rowid, * FROM {{TABLE}}
+WHERE rowid > ?1 AND {{FILTER}}
+ORDER BY rowid
+LIMIT ?2
+`.trim()
+
+  getBackupQuery (table) {
+    if (!this.backupQueryCache) this.backupQueryCache = new Map()
+    const cached = this.backupQueryCache.get(table)
+    if (cached) return cached
+    const result = this.DB.prepare(DBBinding.backupQueryTemplate
+      .replace('{{TABLE}}', table)
+      .replace('{{FILTER}}', BACKUP_TABLES[table]))
+    this.backupQueryCache.set(table, result)
+    return result
+  }
+
+  get saveNotificationStmt () {
+    return this._saveNotificationStmt ?? (this._saveNotificationStmt = this.DB.prepare(`
+INSERT INTO notification_outbox (commentId, type, status, attempts, error, nextAttempt, created, updated, site, recipient)
+VALUES (?1, ?2, 'pending', 0, '', ?3, ?3, ?3, ?4, ?5)
+RETURNING id
+`.trim()))
+  }
+
+  // 领取任务时推迟下次执行时间，避免同一任务被并发执行
+  get notificationClaimStmt () {
+    return this._notificationClaimStmt ?? (this._notificationClaimStmt = this.DB.prepare(`
+UPDATE notification_outbox
+SET attempts = attempts + 1, nextAttempt = ?3, updated = ?2
+WHERE id = ?1 AND status = 'pending' AND nextAttempt <= ?2
+RETURNING *
+`.trim()))
+  }
+
+  get notificationDoneStmt () {
+    return this._notificationDoneStmt ?? (this._notificationDoneStmt = this.DB.prepare(`
+UPDATE notification_outbox
+SET status = 'done', error = '', updated = ?2
+WHERE id = ?1
+`.trim()))
+  }
+
+  get notificationFailStmt () {
+    return this._notificationFailStmt ?? (this._notificationFailStmt = this.DB.prepare(`
+UPDATE notification_outbox
+SET status = ?2, error = ?3, nextAttempt = ?4, updated = ?5
+WHERE id = ?1
+`.trim()))
+  }
+
+  get notificationRetryStmt () {
+    return this._notificationRetryStmt ?? (this._notificationRetryStmt = this.DB.prepare(`
+UPDATE notification_outbox
+SET status = 'pending', attempts = 0, nextAttempt = ?2, updated = ?2
+WHERE id IN (SELECT value FROM json_each(?1)) AND site = ?3 AND status != 'done'
+RETURNING id
+`.trim()))
+  }
+
+  get dueNotificationQuery () {
+    return this._dueNotificationQuery ?? (this._dueNotificationQuery = this.DB.prepare(`
+SELECT id FROM notification_outbox
+WHERE status = 'pending' AND nextAttempt <= ?1
+ORDER BY nextAttempt
+LIMIT ?2
+`.trim()))
+  }
+
+  get notificationCountQuery () {
+    return this._notificationCountQuery ?? (this._notificationCountQuery = this.DB.prepare(`
+SELECT COUNT(*) AS count FROM notification_outbox
+WHERE site = ?2 AND (?1 = '' OR status = ?1)
+`.trim()))
+  }
+
+  get notificationQuery () {
+    return this._notificationQuery ?? (this._notificationQuery = this.DB.prepare(`
+SELECT * FROM notification_outbox
+WHERE site = ?4 AND (?1 = '' OR status = ?1)
+ORDER BY id DESC
+LIMIT ?2 OFFSET ?3
+`.trim()))
+  }
+
+  get notificationPurgeStmt () {
+    return this._notificationPurgeStmt ?? (this._notificationPurgeStmt =
+      this.DB.prepare(`DELETE FROM notification_outbox WHERE status = 'done' AND updated < ?1`)
+    )
+  }
+
+  get saveWebhookDeliveryStmt () {
+    return this._saveWebhookDeliveryStmt ?? (this._saveWebhookDeliveryStmt = this.DB.prepare(`
+INSERT INTO webhook_delivery (
+  site, endpoint, event, commentId, payload, status, attempts, responseStatus, response, error, nextAttempt, created, updated
+)
+VALUES (?1, ?2, ?3, ?4, ?5, 'pending', 0, 0, '', '', ?6, ?6, ?6)
+RETURNING id
+`.trim()))
+  }
+
+  get webhookDeliveryClaimStmt () {
+    return this._webhookDeliveryClaimStmt ?? (this._webhookDeliveryClaimStmt = this.DB.prepare(`
+UPDATE webhook_delivery
+SET attempts = attempts + 1, nextAttempt = ?3, updated = ?2
+WHERE id = ?1 AND status = 'pending' AND nextAttempt <= ?2
+RETURNING *
+`.trim()))
+  }
+
+  get webhookDeliveryResultStmt () {
+    return this._webhookDeliveryResultStmt ?? (this._webhookDeliveryResultStmt = this.DB.prepare(`
+UPDATE webhook_delivery
+SET status = ?2, responseStatus = ?3, response = ?4, error = ?5, nextAttempt = ?6, updated = ?7
+WHERE id = ?1
+`.trim()))
+  }
+
+  // 重新投递时不限状态，已成功的投递也可以再次发送
+  get webhookDeliveryReplayStmt () {
+    return this._webhookDeliveryReplayStmt ?? (this._webhookDeliveryReplayStmt = this.DB.prepare(`
+UPDATE webhook_delivery
+SET status = 'pending', attempts = 0, nextAttempt = ?2, updated = ?2
+WHERE id IN (SELECT value FROM json_each(?1)) AND site = ?3
+RETURNING id
+`.trim()))
+  }
+
+  get dueWebhookDeliveryQuery () {
+    return this._dueWebhookDeliveryQuery ?? (this._dueWebhookDeliveryQuery = this.DB.prepare(`
+SELECT id FROM webhook_delivery
+WHERE status = 'pending' AND nextAttempt <= ?1
+ORDER BY nextAttempt
+LIMIT ?2
+`.trim()))
+  }
+
+  get webhookDeliveryCountQuery () {
+    return this._webhookDeliveryCountQuery ?? (this._webhookDeliveryCountQuery = this.DB.prepare(`
+SELECT COUNT(*) AS count FROM webhook_delivery
+WHERE site = ?3 AND (?1 = '' OR status = ?1) AND (?2 = '' OR event = ?2)
+`.trim()))
+  }
+
+  get webhookDeliveryQuery () {
+    return this._webhookDeliveryQuery ?? (this._webhookDeliveryQuery = this.DB.prepare(`
+SELECT * FROM webhook_delivery
+WHERE site = ?5 AND (?1 = '' OR status = ?1) AND (?2 = '' OR event = ?2)
+ORDER BY id DESC
+LIMIT ?3 OFFSET ?4
+`.trim()))
+  }
+
+  get webhookDeliveryPurgeStmt () {
+    return this._webhookDeliveryPurgeStmt ?? (this._webhookDeliveryPurgeStmt =
+      this.DB.prepare(`DELETE FROM webhook_delivery WHERE status = 'done' AND updated < ?1`)
+    )
+  }
+
+  get spamTokenQuery () {
+    return this._spamTokenQuery ?? (this._spamTokenQuery = this.DB.prepare(`
+SELECT token, spam, ham FROM spam_token
+WHERE site = ?1 AND token IN (SELECT value FROM json_each(?2))
+`.trim()))
+  }
+
+  // 撤销训练时计数为负数
+  get spamTrainStmt () {
+    return this._spamTrainStmt ?? (this._spamTrainStmt = this.DB.prepare(`
+INSERT INTO spam_token (site, token, spam, ham)
+SELECT ?1, value, MAX(?2, 0), MAX(?3, 0) FROM json_each(?4) WHERE true
+ON CONFLICT (site, token) DO UPDATE SET spam = MAX(spam + ?2, 0), ham = MAX(ham + ?3, 0)
+`.trim()))
+  }
+
+  get spamLabelStmt () {
+    return this._spamLabelStmt ?? (this._spamLabelStmt =
+      this.DB.prepare('UPDATE comment SET spamLabel = ?2 WHERE _id = ?1')
+    )
+  }
+
+  get duplicateCommentCountQuery () {
+    return this._duplicateCommentCountQuery ?? (this._duplicateCommentCountQuery = this.DB.prepare(`
+SELECT COUNT(*) AS count FROM (
+  SELECT comment FROM comment
+  WHERE site = ?1 AND created > ?2
+  ORDER BY created DESC
+  LIMIT ?4
+)
+WHERE comment = ?3
+`.trim()))
+  }
+
+  get uidActivityQuery () {
+    return this._uidActivityQuery ?? (this._uidActivityQuery = this.DB.prepare(`
+SELECT MIN(created) AS first, COUNT(*) FILTER (WHERE created > ?2) AS recent FROM comment
+WHERE uid = ?1 AND site = ?3
+`.trim()))
+  }
+
+  get saveSubscriptionStmt () {
+    return this._saveSubscriptionStmt ?? (this._saveSubscriptionStmt = this.DB.prepare(`
+INSERT INTO subscription (mail, url, rid, subscribed, created, updated, site)
+VALUES (?1, ?2, ?3, ?4, ?5, ?5, ?6)
+ON CONFLICT (site, mail, url, rid) DO UPDATE SET subscribed = excluded.subscribed, updated = excluded.updated
+`.trim()))
+  }
+
+  get subscriptionByMailQuery () {
+    return this._subscriptionByMailQuery ?? (this._subscriptionByMailQuery = this.DB.prepare(`
+SELECT url, rid, subscribed, created, updated FROM subscription
+WHERE site = ?2 AND mail = ?1
+ORDER BY updated DESC
+`.trim()))
+  }
+
+  // 评论所在页面、讨论串及全站范围内，订阅者和被回复者的订阅记录
+  get subscriptionForCommentQuery () {
+    return this._subscriptionForCommentQuery ?? (this._subscriptionForCommentQuery = this.DB.prepare(`
+SELECT mail, url, rid, subscribed FROM subscription
+WHERE
+  site = ?4 AND
+  ((url = '' AND rid = '') OR (url = ?1 AND (rid = '' OR rid = ?2))) AND
+  mail IN (
+    SELECT mail FROM subscription WHERE site = ?4 AND subscribed = 1 AND url = ?1 AND (rid = '' OR rid = ?2)
+    UNION SELECT ?3
+  )
+`.trim()))
+  }
+
+  get commentByUidMailQuery () {
+    return this._commentByUidMailQuery ?? (this._commentByUidMailQuery = this.DB.prepare(`
+SELECT _id FROM comment
+WHERE uid = ?1 AND mail = ?2 COLLATE NOCASE AND site = ?3
+LIMIT 1
+`.trim()))
+  }
+
+  get commentUrlsQuery () {
+    return this._commentUrlsQuery ?? (this._commentUrlsQuery =
+      this.DB.prepare('SELECT url, COUNT(*) AS count FROM comment WHERE site = ?1 GROUP BY url')
+    )
+  }
+
+  get counterUrlsQuery () {
+    return this._counterUrlsQuery ?? (this._counterUrlsQuery =
+      this.DB.prepare('SELECT url FROM counter WHERE site = ?1')
+    )
+  }
+
+  // 主键为 (site, url, created)，与目标地址的评论时间相同的评论保留在原地址，不中断合并
+  get commentUrlUpdateStmt () {
+    return this._commentUrlUpdateStmt ?? (this._commentUrlUpdateStmt =
+      this.DB.prepare('UPDATE OR IGNORE comment SET url = ?1 WHERE url = ?2 AND site = ?3')
+    )
+  }
+
+  // 合并到同一地址后主键冲突的评论：这些地址中发表时间相同的评论
+  get commentUrlCollisionQuery () {
+    return this._commentUrlCollisionQuery ?? (this._commentUrlCollisionQuery = this.DB.prepare(`
+SELECT _id, url, created FROM comment
+WHERE site = ?2 AND url IN (SELECT value FROM json_each(?1)) AND created IN (
+  SELECT created FROM comment
+  WHERE site = ?2 AND url IN (SELECT value FROM json_each(?1))
+  GROUP BY created
+  HAVING COUNT(*) > 1
+)
+`.trim()))
+  }
+
+  // 同一邮箱可能同时订阅了合并前的多个地址，保留已有的记录
+  get subscriptionUrlUpdateStmt () {
+    return this._subscriptionUrlUpdateStmt ?? (this._subscriptionUrlUpdateStmt =
+      this.DB.prepare('UPDATE OR IGNORE subscription SET url = ?1 WHERE url = ?2 AND site = ?3')
+    )
+  }
+
+  get subscriptionUrlDeleteStmt () {
+    return this._subscriptionUrlDeleteStmt ?? (this._subscriptionUrlDeleteStmt =
+      this.DB.prepare('DELETE FROM subscription WHERE url = ?1 AND site = ?2')
+    )
+  }
+
+  // 合并计数器：访问量相加，标题取最近更新的记录
+  get counterMergeStmt () {
+    return this._counterMergeStmt ?? (this._counterMergeStmt = this.DB.prepare(`
+INSERT INTO counter (site, url, title, time, created, updated)
+SELECT
+  ?3,
+  ?1,
+  (SELECT title FROM counter WHERE site = ?3 AND url IN (SELECT value FROM json_each(?2)) ORDER BY updated DESC LIMIT 1),
+  SUM(time), MIN(created), MAX(updated)
+FROM counter
+WHERE site = ?3 AND url IN (SELECT value FROM json_each(?2))
+ON CONFLICT (site, url) DO UPDATE SET
+  title = excluded.title, time = excluded.time, created = excluded.created, updated = excluded.updated
+`.trim()))
+  }
+
+  get counterBulkDeleteStmt () {
+    return this._counterBulkDeleteStmt ?? (this._counterBulkDeleteStmt =
+      this.DB.prepare('DELETE FROM counter WHERE url IN (SELECT value FROM json_each(?1)) AND site = ?2')
+    )
+  }
+
+  // 合并每日访问量：同一天的访问量相加
+  get counterDailyMergeStmt () {
+    return this._counterDailyMergeStmt ?? (this._counterDailyMergeStmt = this.DB.prepare(`
+INSERT INTO counter_daily (site, url, day, views)
+SELECT ?3, ?1, day, SUM(views) FROM counter_daily
+WHERE site = ?3 AND url IN (SELECT value FROM json_each(?2))
+GROUP BY day
+ON CONFLICT (site, url, day) DO UPDATE SET views = excluded.views
+`.trim()))
+  }
+
+  get counterDailyBulkDeleteStmt () {
+    return this._counterDailyBulkDeleteStmt ?? (this._counterDailyBulkDeleteStmt =
+      this.DB.prepare('DELETE FROM counter_daily WHERE url IN (SELECT value FROM json_each(?1)) AND site = ?2')
+    )
+  }
+
+  get schemaVersionQuery () {
+    return this._schemaVersionQuery ?? (this._schemaVersionQuery =
+      this.DB.prepare('SELECT MAX(version) AS version FROM schema_version')
+    )
+  }
+
+  get saveSchemaVersionStmt () {
+    return this._saveSchemaVersionStmt ?? (this._saveSchemaVersionStmt =
+      this.DB.prepare('INSERT INTO schema_version VALUES (?1, ?2, ?3)')
+    )
+  }
+}
+
+let db
+
+function setDb (DB) {
+  if (db) {
+    logger.log('重用已有数据库绑定')
+    return
+  }
+  logger.log('创建新的数据库绑定')
+  db = new DBBinding(DB)
+}
+
+export default {
+  async fetch (request, env, ctx) {
+    // 每个请求使用独立的上下文，并发的请求和后台任务互不影响
+    return runInContext(() => handleRequest(request, env, ctx))
+  },
+
+  /**
+   * 定时任务，由 wrangler.toml 中的 triggers.crons 触发
+   * @param {ScheduledController} controller
+   * @returns {Object} 各任务的执行结果
+   */
+  async scheduled (controller, env) {
+    setDb(env.DB)
+    await autoMigrate(env)
+    if (await isSchemaOutdated()) {
+      logger.warn('数据库结构需要迁移，跳过定时任务')
+      return {}
+    }
+    logger.info('执行定时任务：', controller.cron)
+    const now = controller.scheduledTime
+    const results = {}
+    // 每次触发都重试通知任务和 Webhook，并重新统计各站点数据，这些任务本身会区分站点
+    const tasks = { processOutbox, processWebhooks }
+    // 配置 MAINTENANCE_CRON 后，维护任务只在该时间表触发时执行
+    const isMaintenance = !env.MAINTENANCE_CRON || controller.cron === env.MAINTENANCE_CRON
+    if (isMaintenance) tasks.recomputeStats = recomputeStats
+    for (const [name, task] of Object.entries(tasks)) {
+      results[name] = await runScheduledTask(name, '', () => task(env, now))
+    }
+    if (isMaintenance) {
+      // 维护任务逐个站点执行，使用各站点自己的配置
+      const { results: siteConfigs } = await db.siteConfigsQuery.all()
+      const sites = ['', ...siteConfigs.map((config) => config.site)]
+      for (const [name, task] of Object.entries(SCHEDULED_TASKS)) {
+        results[name] = {}
+        for (const site of sites) {
+          results[name][site] = await runScheduledTask(name, site, () => task(env, now))
+        }
+      }
+    }
+    logger.info('定时任务结果：', results)
+    return results
+  }
+}
+
+// 在指定站点执行定时任务，单个任务失败不影响其他任务
+async function runScheduledTask (name, site, task) {
+  try {
+    return await runInSite(site, task)
+  } catch (e) {
+    logger.error(`定时任务 ${name} 失败${site ? `（站点 ${site}）` : ''}：`, e)
+    return { error: e.message }
+  }
+}
+
+/**
+ * @param {Request} request
+ * @returns {Response}
+ */
+async function handleRequest (request, env, ctx) {
+  setDb(env.DB)
+  workerUrl = new URL(request.url).origin
+  if (request.method === 'GET') {
+    const { pathname } = new URL(request.url)
+    if (pathname.startsWith(R2_IMAGE_ROUTE)) {
+      let key
+      try {
+        key = decodeURIComponent(pathname.substring(R2_IMAGE_ROUTE.length))
+      } catch (e) {
+        // 路径中的百分号编码不完整
+        return new Response('Bad Request', { status: 400 })
+      }
+      return r2Serve(request, env.R2, key)
+    }
+    if (pathname === UNSUBSCRIBE_ROUTE) {
+      return unsubscribeByLink(request, env)
+    }
+    if (FEED_FORMATS[pathname]) {
+      return feedServe(request, env, FEED_FORMATS[pathname])
+    }
+  }
+  let event
+  try {
+    event = await request.json()
+  } catch {
+    event = {}
+  }
+  logger.log('请求 IP：', getIp(request))
+  logger.log('请求函数：', event.event)
+  logger.log('请求参数：', event)
+  const context = getContext()
+  let res = {}
+  let status = 200
+  const headers = {}
+  try {
+    await autoMigrate(env)
+    context.accessToken = anonymousSignIn(event)
+    // 未开启 AUTO_MIGRATE 且数据库结构落后时，站点、会话和限流依赖的表可能还不存在，
+    // 只允许查询版本和执行迁移，迁移使用管理密码验证身份
+    const outdated = await isSchemaOutdated()
+    if (outdated && !SCHEMA_OUTDATED_EVENTS.includes(event.event)) {
+      throw new Error('数据库结构需要迁移，请开启 AUTO_MIGRATE 或由管理员执行 SCHEMA_MIGRATE_FOR_ADMIN')
+    }
+    if (!outdated) {
+      await switchSite(await resolveSite(request, event))
+      context.adminSession = await readSession(context.accessToken)
+    }
+    const { config } = context
+    allowCors(request, headers)
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers })
+    }
+    if (!outdated) await protect(event, request)
+    switch (event.event) {
+      case 'GET_FUNC_VERSION':
+        res = getFuncVersion({ VERSION })
+        res.schemaVersion = await getSchemaVersion()
+        res.latestSchemaVersion = LATEST_SCHEMA_VERSION
+        break
+      case 'COMMENT_GET':
+        res = await commentGet(event)
+        break
+      case 'REPLY_GET':
+        res = await replyGet(event)
+        break
+      case 'COMMENT_GET_FOR_ADMIN':
+        res = await commentGetForAdmin(event)
+        break
+      case 'COMMENT_SET_FOR_ADMIN':
+        res = await commentSetForAdmin(event, request, ctx)
+        break
+      case 'COMMENT_DELETE_FOR_ADMIN':
+        res = await commentDeleteForAdmin(event, request, ctx)
+        break
+      case 'COMMENT_BULK_SET_FOR_ADMIN':
+        res = await commentBulkSetForAdmin(event, request, ctx)
+        break
+      case 'COMMENT_BULK_DELETE_FOR_ADMIN':
+        res = await commentBulkDeleteForAdmin(event, request, ctx)
+        break
+      case 'COMMENT_IMPORT_FOR_ADMIN':
+        res = await commentImportForAdmin(event, request)
+        break
+      case 'COMMENT_IMPORT_CONTINUE_FOR_ADMIN':
+        res = await commentImportContinueForAdmin(event, request)
+        break
+      case 'COMMENT_IMPORT_JOB_GET_FOR_ADMIN':
+        res = await commentImportJobGetForAdmin(event)
+        break
+      case 'COMMENT_LIKE':
+      case 'COMMENT_REACT':
+        res = await commentLike(event)
+        break
+      case 'COMMENT_SUBMIT':
+        res = await commentSubmit(event, request, ctx)
+        break
+      case 'CAPTCHA_CHALLENGE':
+        res = await captchaChallenge()
+        break
+      case 'COMMENT_UPDATE':
+        res = await commentUpdate(event, request, ctx)
+        break
+      case 'COMMENT_DELETE':
+      case 'COMMENT_DELETE_FOR_USER':
+        res = await commentDelete(event, request, ctx)
+        break
+      case 'STATS_GET_FOR_ADMIN':
+        res = await statsGetForAdmin()
+        break
+      case 'COUNTER_DAILY_GET_FOR_ADMIN':
+        res = await counterDailyGetForAdmin(event)
+        break
+      case 'NOTIFICATION_OUTBOX_GET_FOR_ADMIN':
+        res = await notificationOutboxGetForAdmin(event)
+        break
+      case 'NOTIFICATION_OUTBOX_RETRY_FOR_ADMIN':
+        res = await notificationOutboxRetryForAdmin(event, request)
+        break
+      case 'WEBHOOK_DELIVERY_GET_FOR_ADMIN':
+        res = await webhookDeliveryGetForAdmin(event)
+        break
+      case 'WEBHOOK_DELIVERY_REPLAY_FOR_ADMIN':
+        res = await webhookDeliveryReplayForAdmin(event, request)
+        break
+      case 'BAN_ADD_FOR_ADMIN':
+        res = await banAddForAdmin(event, request)
+        break
+      case 'BAN_COMMENT_FOR_ADMIN':
+        res = await banCommentForAdmin(event, request)
+        break
+      case 'BAN_GET_FOR_ADMIN':
+        res = await banGetForAdmin(event)
+        break
+      case 'BAN_DELETE_FOR_ADMIN':
+        res = await banDeleteForAdmin(event, request)
+        break
+      case 'AUDIT_LOG_GET_FOR_ADMIN':
+        res = await auditLogGetForAdmin(event)
+        break
+      case 'COMMENT_SUBSCRIBE':
+        res = await commentSubscribe(event)
+        break
+      case 'COMMENT_UNSUBSCRIBE':
+        res = await commentUnsubscribe(event)
+        break
+      case 'COMMENT_SUBSCRIPTION_GET':
+        res = await commentSubscriptionGet(event)
+        break
+      case 'URL_MERGE_FOR_ADMIN':
+        res = await urlMergeForAdmin(event, request)
+        break
+      case 'COMMENT_HISTORY_GET_FOR_ADMIN':
+        res = await commentHistoryGetForAdmin(event)
+        break
+      case 'COUNTER_GET':
+        res = await counterGet(event, request)
+        break
+      case 'GET_PASSWORD_STATUS':
+        res = await getPasswordStatus(config, VERSION)
+        break
+      case 'SET_PASSWORD':
+        res = await setPassword(event, request)
+        break
+      case 'GET_CONFIG':
+        res = await getConfig({ config, VERSION, isAdmin: isAdmin() })
+        Object.assign(res.config, getCaptchaPublicConfig())
+        break
+      case 'GET_CONFIG_FOR_ADMIN': {
+        // 签名密钥不需要在管理面板中展示
+        const { ADMIN_SESSION_SECRET, UNSUBSCRIBE_SECRET, CAPTCHA_SECRET, ...adminConfig } = config
+        res = await getConfigForAdmin({ config: adminConfig, isAdmin: isAdmin() })
+        break
+      }
+      case 'SET_CONFIG':
+        res = await setConfig(event, request)
+        break
+      case 'LOGIN':
+        res = await login(event.password, request)
+        break
+      case 'LOGOUT':
+        res = await logout()
+        break
+      case 'GET_COMMENTS_COUNT': // >= 0.2.7
+        res = await getCommentsCount(event)
+        break
+      case 'GET_RECENT_COMMENTS': // >= 0.2.7
+        res = await getRecentComments(event)
+        break
+      case 'EMAIL_TEST': // >= 1.4.6
+        res = await emailTest(event, config, isAdmin())
+      break
+      case 'UPLOAD_IMAGE': // >= 1.5.0
+        if (env.R2) {
+          res = await r2_upload(event, request, env.R2, env.R2_PUBLIC_URL)
+        } else {
+          res = await uploadImage(event, config)
+        }
+        break
+      case 'COMMENT_EXPORT_FOR_ADMIN': // >= 1.6.13
+        res = await commentExportForAdmin(event, headers)
+        // CSV 和 XML 格式直接返回文件
+        if (res instanceof Response) return res
+        break
+      case 'SCHEMA_MIGRATE_FOR_ADMIN':
+        res = await schemaMigrateForAdmin(event, request)
+        break
+      case 'IMAGE_GET_FOR_ADMIN':
+        res = await imageGetForAdmin(event, request, env.R2_PUBLIC_URL)
+        break
+      case 'IMAGE_DELETE_FOR_ADMIN':
+        res = await imageDeleteForAdmin(event, request, env.R2)
+        break
+      case 'IMAGE_DELETE_ORPHANS_FOR_ADMIN':
+        res = await imageDeleteOrphansForAdmin(event, request, env.R2)
+        break
+      case 'SITE_GET_FOR_ADMIN':
+        res = await siteGetForAdmin()
+        break
+      case 'SITE_ADD_FOR_ADMIN':
+        res = await siteAddForAdmin(event, request)
+        break
+      default:
+        if (event.event) {
+          res.code = RES_CODE.EVENT_NOT_EXIST
+          res.message = '请更新 Twikoo 云函数至最新版本'
+        } else {
+          res.code = RES_CODE.NO_PARAM
+          res.message = 'Twikoo 云函数运行正常，请参考 https://twikoo.js.org/frontend.html 完成前端的配置'
+          res.version = VERSION
+        }
+    }
+  } catch (e) {
+    if (e instanceof TooManyRequestsError) {
+      status = 429
+      headers['Retry-After'] = String(e.retryAfter)
+    } else if (e instanceof BannedError) {
+      status = 403
+      logger.warn(`${getIp(request)} 命中封禁规则 ${e.ban.id}（${e.ban.type}: ${e.ban.value}）`)
+    } else {
+      logger.error('Twikoo 遇到错误，请参考以下错误信息。如有疑问，请反馈至 https://github.com/twikoojs/twikoo/issues')
+      logger.error('请求参数：', event)
+      logger.error('错误信息：', e)
+    }
+    res.code = e instanceof BannedError ? RES_CODE.FORBIDDEN : RES_CODE.FAIL
+    res.message = e.message
+  }
+  if (!res.code && !request.body.accessToken) {
+    res.accessToken = res.accessToken ?? context.accessToken
+  }
+  logger.log('请求返回：', res)
+  headers['content-type'] = 'application/json;charset=UTF-8'
+  return new Response(JSON.stringify(res), { status, headers })
+}
+
+function allowCors (request, headers) {
+  const origin = request.headers.get('origin')
+  if (origin) {
+    headers['Access-Control-Allow-Credentials'] = true
+    headers['Access-Control-Allow-Origin'] = getAllowedOrigin(origin)
+    headers['Access-Control-Allow-Methods'] = 'POST'
+    headers['Access-Control-Allow-Headers'] =
+      'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+    headers['Access-Control-Max-Age'] = '600'
+  }
+}
+
+function getAllowedOrigin (origin) {
+  const { config } = getContext()
+  const localhostRegex = /^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d{1,5})?$/
+  if (localhostRegex.test(origin)) { // 判断是否为本地主机，如是则允许跨域
+    return origin // Allow
+  } else if (config.CORS_ALLOW_ORIGIN) { // 如设置了安全域名则检查
+    // 适配多条 CORS 规则
+    // 以逗号分隔 CORS
+    const corsList = config.CORS_ALLOW_ORIGIN.split(',')
+    // 遍历 CORS 列表
+    for (let i = 0; i < corsList.length; i++) {
+      const cors = corsList[i].replace(/\/$/, '') // 获取当前 CORS 并去除末尾的斜杠
+      if (cors === origin) {
+        return origin // Allow
+      }
+    }
+    return '' // 不在安全域名列表中则禁止跨域
+  } else {
+    return origin // 未设置安全域名直接 Allow
+  }
+}
+
+// 站点 ID：小写字母、数字、下划线和连字符，默认站点为空字符串
+const SITE_ID_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/
+
+class SiteNotFoundError extends Error {}
+
+// 与 getAllowedOrigin 相同，CORS_ALLOW_ORIGIN 以逗号分隔，忽略末尾的斜杠
+function isCorsListed (corsAllowOrigin, origin) {
+  return corsAllowOrigin.split(',').some((cors) => cors.trim().replace(/\/$/, '') === origin)
+}
+
+/**
+ * 确定请求所属的站点
+ * 优先使用请求参数 site（GET 请求为查询参数），其次将 Origin 与各站点的 CORS_ALLOW_ORIGIN 匹配，都没有时使用默认站点
+ */
+async function resolveSite (request, event) {
+  const requested = event.site ?? new URL(request.url).searchParams.get('site')
+  if (requested) {
+    if (typeof requested !== 'string' || !SITE_ID_REGEX.test(requested) ||
+      await db.readConfigQuery.bind(requested).first('value') === null) {
+      throw new SiteNotFoundError('站点不存在')
+    }
+    return requested
+  }
+  const origin = request.headers.get('origin')
+  if (origin) {
+    const { results } = await db.siteConfigsQuery.all()
+    for (const { site, value } of results) {
+      const { CORS_ALLOW_ORIGIN } = value ? JSON.parse(value) : {}
+      if (CORS_ALLOW_ORIGIN && isCorsListed(CORS_ALLOW_ORIGIN, origin)) return site
+    }
+  }
+  return ''
+}
+
+// 在新的上下文中执行，上下文只属于本次请求或任务
+function runInContext (fn) {
+  return contextStorage.run({ site: '', config: {}, accessToken: undefined, adminSession: null }, fn)
+}
+
+// 获取当前请求或任务的上下文
+function getContext () {
+  return contextStorage.getStore()
+}
+
+// 切换当前上下文所属的站点并读取该站点的配置
+async function switchSite (id) {
+  const context = getContext()
+  context.site = id
+  context.config = await readConfig(id)
+}
+
+// 在指定站点的新上下文中执行定时任务、通知等后台任务，不影响并发的请求
+function runInSite (id, fn) {
+  return runInContext(async () => {
+    await switchSite(id)
+    return fn()
+  })
+}
+
+// 数据库迁移、站点管理等全局操作只允许默认站点的管理员执行
+function isSuperAdmin () {
+  const { site } = getContext()
+  return isAdmin() && site === ''
+}
+
+// 管理员读取站点列表
+async function siteGetForAdmin () {
+  const res = {}
+  const isAdminUser = isSuperAdmin()
+  if (isAdminUser) {
+    const { results } = await db.siteConfigsQuery.all()
+    res.data = results.map(({ site, value }) => {
+      const siteConfig = value ? JSON.parse(value) : {}
+      return {
+        site,
+        SITE_NAME: siteConfig.SITE_NAME ?? '',
+        SITE_URL: siteConfig.SITE_URL ?? '',
+        CORS_ALLOW_ORIGIN: siteConfig.CORS_ALLOW_ORIGIN ?? '',
+        hasPassword: !!siteConfig.ADMIN_PASS
+      }
+    })
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+/**
+ * 管理员新增站点，请求参数 site 用于选择站点，因此新站点的 ID 使用参数 id
+ * @param {String} event.id 站点 ID
+ * @param {String} event.password 新站点的管理密码
+ * @param {Object} event.config 新站点的初始配置，如 SITE_NAME、SITE_URL、CORS_ALLOW_ORIGIN
+ */
+async function siteAddForAdmin (event, request) {
+  const res = {}
+  const isAdminUser = isSuperAdmin()
+  if (isAdminUser) {
+    validate(event, ['id', 'password'])
+    if (typeof event.id !== 'string' || !SITE_ID_REGEX.test(event.id)) throw new Error('参数"id"不合法')
+    const siteConfig = withSigningSecrets(withWebhookSecret({ ...event.config, ADMIN_PASS: await hashPassword(event.password) }))
+    const added = await db.addSiteStmt.bind(event.id, JSON.stringify(siteConfig)).first()
+    if (!added) throw new Error('站点已存在')
+    const { ADMIN_PASS, ...logConfig } = siteConfig
+    await audit(request, 'SITE_ADD_FOR_ADMIN', [event.id], null, maskConfig(logConfig))
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+function anonymousSignIn (event) {
+  if (event.accessToken) {
+    return event.accessToken
+  } else {
     return uuidv4().replace(/-/g, '')
   }
 }
 
-// 写入管理密码
-async function setPassword (event) {
-  const isAdminUser = isAdmin()
-  // 如果数据库里没有密码，则写入密码
-  // 如果数据库里有密码，则只有管理员可以写入密码
-  if (config.ADMIN_PASS && !isAdminUser) {
-    return { code: RES_CODE.PASS_EXIST, message: '请先登录再修改密码' }
-  }
-  const ADMIN_PASS = md5(event.password)
-  await writeConfig({ ADMIN_PASS })
-  return {
-    code: RES_CODE.SUCCESS
-  }
+// 写入管理密码
+async function setPassword (event, request) {
+  const { site, config } = getContext()
+  const isAdminUser = isAdmin()
+  // 如果数据库里没有密码，则写入密码
+  // 如果数据库里有密码，则只有管理员可以写入密码
+  if (config.ADMIN_PASS && !isAdminUser) {
+    return { code: RES_CODE.PASS_EXIST, message: '请先登录再修改密码' }
+  }
+  validate(event, ['password'])
+  const ADMIN_PASS = await hashPassword(event.password)
+  await writeConfig(withSigningSecrets({ ADMIN_PASS }, config))
+  // 修改密码后，之前签发的会话全部失效
+  await db.sessionDeleteAllStmt.bind(site).run()
+  await audit(request, 'SET_PASSWORD', [], null, null)
+  return {
+    code: RES_CODE.SUCCESS,
+    accessToken: await createSession(request)
+  }
+}
+
+// 管理员登录
+async function login (password, request) {
+  const { config } = getContext()
+  if (!config) {
+    return { code: RES_CODE.CONFIG_NOT_EXIST, message: '数据库无配置' }
+  }
+  if (!config.ADMIN_PASS) {
+    return { code: RES_CODE.PASS_NOT_EXIST, message: '未配置管理密码' }
+  }
+  const lockout = getLoginLockout(request)
+  const retryAfter = await peekRateLimit(lockout.key, lockout.rule)
+  if (retryAfter) {
+    throw new TooManyRequestsError('登录失败次数过多，请稍后再试', retryAfter)
+  }
+  if (!password || !await verifyPassword(password, config.ADMIN_PASS)) {
+    await hitRateLimits([lockout])
+    return { code: RES_CODE.PASS_NOT_MATCH, message: '密码错误' }
+  }
+  await db.rateLimitDeleteStmt.bind(lockout.key).run()
+  if (!isPasswordHashed(config.ADMIN_PASS)) {
+    // 旧版本以 MD5 保存密码，登录成功后迁移为加盐哈希
+    logger.info('迁移管理密码哈希')
+    await writeConfig({ ADMIN_PASS: await hashPassword(password) })
+  }
+  const session = await createSession(request)
+  await audit(request, 'LOGIN', [session.split('.')[0]], null, null)
+  return {
+    code: RES_CODE.SUCCESS,
+    accessToken: session
+  }
+}
+
+// 管理员登出
+async function logout () {
+  const context = getContext()
+  if (context.adminSession) {
+    await db.sessionDeleteStmt.bind(context.adminSession.id).run()
+    context.adminSession = null
+  }
+  return {
+    code: RES_CODE.SUCCESS,
+    accessToken: uuidv4().replace(/-/g, '')
+  }
+}
+
+// Workers 的 PBKDF2 最多支持 100000 次迭代
+const PBKDF2_ITERATIONS = 100000
+const PASSWORD_HASH_PREFIX = 'pbkdf2$'
+const DEFAULT_ADMIN_SESSION_DAYS = 7
+
+function isPasswordHashed (hash) {
+  return hash.startsWith(PASSWORD_HASH_PREFIX)
+}
+
+async function pbkdf2 (password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256
+  )
+  return new Uint8Array(bits)
+}
+
+// 密码哈希格式：pbkdf2$迭代次数$盐$哈希
+async function hashPassword (password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS)
+  return `${PASSWORD_HASH_PREFIX}${PBKDF2_ITERATIONS}$${toBase64Url(salt)}$${toBase64Url(hash)}`
+}
+
+async function verifyPassword (password, hash) {
+  if (!isPasswordHashed(hash)) {
+    return timingSafeEqual(new TextEncoder().encode(md5(password)), new TextEncoder().encode(hash))
+  }
+  const [iterations, salt, expected] = hash.substring(PASSWORD_HASH_PREFIX.length).split('$')
+  const actual = await pbkdf2(password, fromBase64Url(salt), parseInt(iterations))
+  return timingSafeEqual(actual, fromBase64Url(expected))
+}
+
+function timingSafeEqual (a, b) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i]
+  return diff === 0
+}
+
+function toBase64Url (bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url (text) {
+  const binaryString = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binaryString, (char) => char.charCodeAt(0))
+}
+
+// 签名密钥，在写入管理密码和保存配置时生成，已有站点由迁移生成
+// 使用时不再生成，避免并发的请求各自生成不同的密钥，或公开请求覆盖管理员同时保存的配置
+const SIGNING_SECRETS = ['ADMIN_SESSION_SECRET', 'CAPTCHA_SECRET', 'UNSUBSCRIBE_SECRET']
+
+// 在要写入的配置中加入还没有的签名密钥
+function withSigningSecrets (newConfig, currentConfig) {
+  const merged = { ...currentConfig, ...newConfig }
+  const missing = SIGNING_SECRETS.filter((name) => !merged[name])
+  if (!missing.length) return newConfig
+  return {
+    ...newConfig,
+    ...Object.fromEntries(missing.map((name) => [name, toBase64Url(crypto.getRandomValues(new Uint8Array(32)))]))
+  }
+}
+
+async function getHmacKey (name) {
+  const { config } = getContext()
+  if (!config[name]) throw new Error(`未配置 ${name}`)
+  return crypto.subtle.importKey(
+    'raw', fromBase64Url(config[name]), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+  )
+}
+
+// 会话签名密钥
+function getSessionKey () {
+  return getHmacKey('ADMIN_SESSION_SECRET')
+}
+
+// 签发管理员会话，令牌格式：会话 ID.过期时间.签名
+async function createSession (request) {
+  const { site, config } = getContext()
+  let days = parseFloat(config.ADMIN_SESSION_DAYS)
+  if (Number.isNaN(days) || days <= 0) days = DEFAULT_ADMIN_SESSION_DAYS
+  const now = Date.now()
+  const id = uuidv4().replace(/-/g, '')
+  const expires = now + Math.round(days * 86400000)
+  await db.sessionDeleteExpiredStmt.bind(now).run()
+  await db.saveSessionStmt.bind(
+    id, getIp(request) ?? '', request.headers.get('User-Agent') ?? '', now, expires, site
+  ).run()
+  const payload = `${id}.${expires}`
+  const signature = await crypto.subtle.sign('HMAC', await getSessionKey(), new TextEncoder().encode(payload))
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`
+}
+
+// 校验会话令牌，有效时返回会话记录
+async function readSession (token) {
+  const { site, config } = getContext()
+  if (!config.ADMIN_SESSION_SECRET || typeof token !== 'string') return null
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+  const [id, expires, signature] = parts
+  if (!(parseInt(expires) > Date.now())) return null
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC', await getSessionKey(), fromBase64Url(signature), new TextEncoder().encode(`${id}.${expires}`)
+    )
+    if (!valid) return null
+  } catch (e) {
+    return null
+  }
+  // 登出或修改密码后，会话记录会被删除
+  return db.sessionQuery.bind(id, Date.now(), site).first()
+}
+
+// timestamp(2100/1/1) * 10
+const MAX_TIMESTAMP_MILLIS = 41025312000000
+const MAX_QUERY_LIMIT = 500
+
+// 默认只有点赞，可在 REACTION_KINDS 中以逗号分隔配置更多表态，如 like,❤️,😄,🎉
+function getReactionKinds () {
+  const { config } = getContext()
+  const kinds = (config.REACTION_KINDS || 'like').split(',').map((kind) => kind.trim()).filter((kind) => kind)
+  return kinds.length ? kinds : ['like']
+}
+
+// 为评论加上各表态的数量 reactions 和当前用户的表态 reacted，like、liked 对应点赞
+async function markReactions (data, uid) {
+  const items = data.flatMap((item) => [item, ...(item.replies ?? [])])
+  if (!items.length) return data
+  const { results } = await db.reactionsQuery.bind(JSON.stringify(items.map((item) => item.id)), uid).all()
+  const kinds = getReactionKinds()
+  const reactions = new Map()
+  for (const { commentId, kind, count, reacted } of results) {
+    if (!kinds.includes(kind)) continue
+    if (!reactions.has(commentId)) reactions.set(commentId, [])
+    reactions.get(commentId).push({ kind, count, reacted })
+  }
+  for (const item of items) {
+    const counts = reactions.get(item.id) ?? []
+    item.reactions = Object.fromEntries(kinds.map((kind) => [kind, counts.find((count) => count.kind === kind)?.count ?? 0]))
+    item.reacted = counts.filter((count) => count.reacted).map((count) => count.kind)
+    item.like = item.reactions.like ?? 0
+    item.liked = item.reacted.includes('like')
+  }
+  return data
+}
+
+// 标记被作者修改过的评论，edited 为最后修改时间
+function markEdited (data, comments) {
+  const edited = new Map(comments.map((comment) => [comment._id, comment.edited ?? 0]))
+  for (const item of data) {
+    item.edited = edited.get(item.id) ?? 0
+    for (const reply of item.replies ?? []) {
+      reply.edited = edited.get(reply.id) ?? 0
+    }
+  }
+  return data
+}
+
+// 可选的地址规范化规则，在 URL_NORMALIZE 中以逗号分隔配置
+// hash：去掉 #锚点；query：去掉 ?查询参数；index：/index.html 视为 /；slash：去掉末尾的 /；case：转为小写
+function normalizeUrl (url) {
+  const { config } = getContext()
+  if (typeof url !== 'string' || !config.URL_NORMALIZE) return url
+  const rules = config.URL_NORMALIZE.split(',').map((rule) => rule.trim())
+  let [, path, query, hash] = /^([^?#]*)(\?[^#]*)?(#.*)?$/.exec(url)
+  if (rules.includes('index')) path = path.replace(/\/index\.html?$/i, '/')
+  if (rules.includes('slash') && path.length > 1) path = path.replace(/\/+$/, '') || '/'
+  if (rules.includes('case')) path = path.toLowerCase()
+  return path + (rules.includes('query') ? '' : query ?? '') + (rules.includes('hash') ? '' : hash ?? '')
+}
+
+/**
+ * 管理员按当前的 URL_NORMALIZE 规则合并已有的评论和计数器
+ * 与目标地址中其他评论的发表时间相同（主键冲突）的评论不移动，在 conflicts 中返回
+ * @param {Boolean} event.dryRun 只返回需要合并的地址，不修改数据
+ */
+async function urlMergeForAdmin (event, request) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const { results: commentUrls } = await db.commentUrlsQuery.bind(site).all()
+    const { results: counterUrls } = await db.counterUrlsQuery.bind(site).all()
+    // 规范化后的地址 => 需要合并的原地址
+    const merges = new Map()
+    const addMerge = (url, type) => {
+      const normalized = normalizeUrl(url)
+      if (normalized === url) return
+      if (!merges.has(normalized)) merges.set(normalized, { url: normalized, comment: [], counter: [] })
+      merges.get(normalized)[type].push(url)
+    }
+    for (const { url } of commentUrls) addMerge(url, 'comment')
+    for (const { url } of counterUrls) addMerge(url, 'counter')
+    res.data = [...merges.values()]
+    res.conflicts = await getUrlMergeConflicts(res.data.filter((merge) => merge.comment.length))
+    res.count = commentUrls
+      .filter(({ url }) => normalizeUrl(url) !== url)
+      .reduce((sum, { count }) => sum + count, 0) - res.conflicts.length
+    if (!event.dryRun && merges.size) {
+      const stmts = []
+      for (const merge of merges.values()) {
+        for (const url of merge.comment) {
+          stmts.push(db.commentUrlUpdateStmt.bind(merge.url, url, site))
+          stmts.push(db.subscriptionUrlUpdateStmt.bind(merge.url, url, site))
+          stmts.push(db.subscriptionUrlDeleteStmt.bind(url, site))
+        }
+        if (merge.counter.length) {
+          stmts.push(db.counterMergeStmt.bind(merge.url, JSON.stringify([merge.url, ...merge.counter]), site))
+          stmts.push(db.counterBulkDeleteStmt.bind(JSON.stringify(merge.counter), site))
+          stmts.push(db.counterDailyMergeStmt.bind(merge.url, JSON.stringify([merge.url, ...merge.counter]), site))
+          stmts.push(db.counterDailyBulkDeleteStmt.bind(JSON.stringify(merge.counter), site))
+        }
+      }
+      stmts.push(...getAuditStmts(request, 'URL_MERGE_FOR_ADMIN', res.data.map((merge) => merge.url), null, res.data))
+      await db.DB.batch(stmts)
+    }
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 按合并顺序，目标地址和先合并的地址中的评论优先，之后发表时间相同的评论无法移动
+async function getUrlMergeConflicts (merges) {
+  const { site } = getContext()
+  if (!merges.length) return []
+  const results = await db.DB.batch(merges.map((merge) => db.commentUrlCollisionQuery.bind(
+    JSON.stringify([merge.url, ...merge.comment]), site
+  )))
+  const conflicts = []
+  merges.forEach((merge, i) => {
+    const order = [merge.url, ...merge.comment]
+    const taken = new Set()
+    const collisions = results[i].results.sort((a, b) => order.indexOf(a.url) - order.indexOf(b.url))
+    for (const comment of collisions) {
+      if (taken.has(comment.created)) {
+        conflicts.push({ id: comment._id, url: comment.url, created: comment.created, target: merge.url })
+      } else {
+        taken.add(comment.created)
+      }
+    }
+  })
+  return conflicts
+}
+
+/**
+ * 读取评论
+ * @param {String} event.url 文章地址
+ * @param {String} event.sort 主楼排序：newest（默认）、oldest、likes（点赞最多）或 replies（回复最多）
+ * @param {String} event.cursor 上一页返回的游标，不传时读取第一页
+ * @param {Number} event.before 按时间倒序时读取此时间之前的评论，兼容旧版前端
+ */
+async function commentGet (event) {
+  const { site, config } = getContext()
+  const res = {}
+  try {
+    validate(event, ['url'])
+    const url = normalizeUrl(event.url)
+    const uid = getUid()
+    const isAdminUser = isAdmin()
+    const limit = parseInt(config.COMMENT_PAGE_SIZE) || 8
+    const sort = event.sort || 'newest'
+    if (!DBBinding.commentSorts[sort]) throw new Error(`不支持的排序方式：${sort}`)
+    const count = await db.commentCountQuery
+      .bind(url, isAdminUser ? 2 : 1, uid, site)
+      .first('count')
+    // 读取主楼
+    // 不包含置顶
+    const query = db.getCommentQuery(sort)
+    let { results: main } = await query
+      .bind(
+        site, url, isAdminUser ? 2 : 1, uid, 0, ...getCommentCursor(event, sort),
+        // 流式分页，通过多读 1 条的方式，确认是否还有更多评论
+        limit + 1
+      ).all()
+    const more = main.length > limit
+    // 删除多读的 1 条
+    if (more) main.splice(limit)
+    const last = main[main.length - 1]
+    res.cursor = more ? encodeCursor([last._score, last.created, last._id]) : null
+    if (!config.TOP_DISABLED && !event.cursor && !event.before) {
+      // 查询置顶评论，合并置顶评论和非置顶评论
+      const { results: top } = await query
+        .bind(
+          site, url, isAdminUser ? 2 : 1, uid, 1, ...getCommentCursor({}, sort),
+          MAX_QUERY_LIMIT
+        ).all()
+      main = [...top, ...main]
+    }
+    // 读取回复楼，配置 REPLY_PAGE_SIZE 时每楼只读取前几条
+    const { results: reply } = main.length
+      ? await db.replyQuery
+        .bind(
+          site, url, isAdminUser ? 2 : 1, uid,
+          JSON.stringify(main.map((item) => item._id)), getReplyPageSize() || Number.MAX_SAFE_INTEGER
+        ).all()
+      : { results: [] }
+    const comments = [...main, ...reply]
+    res.data = await markReactions(markReplyPages(
+      markEdited(parseComment(comments.map((comment) => ({ ...comment, like: [] })), uid, config), comments),
+      reply
+    ), uid)
+    res.more = more
+    res.count = count
+  } catch (e) {
+    res.data = []
+    res.message = e.message
+  }
+  return res
+}
+
+// 主楼游标为 [排序值, created, _id]
+function getCommentCursor ({ cursor, before }, sort) {
+  if (cursor) {
+    const values = decodeCursor(cursor)
+    if (!Array.isArray(values) || values.length !== 3) throw new Error('参数"cursor"不合法')
+    return values
+  }
+  if (before && sort === 'newest') return [0, before, '']
+  return DBBinding.commentSorts[sort].order === 'DESC'
+    ? [Number.MAX_SAFE_INTEGER, MAX_TIMESTAMP_MILLIS, '']
+    : [-1, -1, '']
+}
+
+// 未配置 REPLY_PAGE_SIZE 时返回 0，COMMENT_GET 返回全部回复
+function getReplyPageSize () {
+  const { config } = getContext()
+  const size = parseInt(config.REPLY_PAGE_SIZE)
+  return size > 0 ? Math.min(size, MAX_QUERY_LIMIT) : 0
+}
+const DEFAULT_REPLY_PAGE_SIZE = 20
+
+// 为主楼加上回复总数 replyCount，还有更多回复时 replyCursor 用于 REPLY_GET
+function markReplyPages (data, replies) {
+  const totals = new Map(replies.map((reply) => [reply.rid, reply._total]))
+  for (const item of data) {
+    item.replyCount = totals.get(item.id) ?? 0
+    const last = item.replies[item.replies.length - 1]
+    item.replyCursor = last && item.replies.length < item.replyCount
+      ? encodeCursor([last.created, last.id])
+      : null
+  }
+  return data
+}
+
+/**
+ * 按时间顺序读取一个主楼的更多回复
+ * @param {String} event.rid 主楼 ID
+ * @param {String} event.cursor COMMENT_GET 返回的 replyCursor，或上一页返回的 cursor，不传时从第一条回复开始
+ * @param {Number} event.per 每页数量，默认为 REPLY_PAGE_SIZE
+ */
+async function replyGet (event) {
+  const { site, config } = getContext()
+  const res = {}
+  try {
+    validate(event, ['rid'])
+    const uid = getUid()
+    const isAdminUser = isAdmin()
+    const per = Math.min(parseInt(event.per) || getReplyPageSize() || DEFAULT_REPLY_PAGE_SIZE, MAX_QUERY_LIMIT)
+    const cursor = event.cursor ? decodeCursor(event.cursor) : [-1, '']
+    if (!Array.isArray(cursor) || cursor.length !== 2) throw new Error('参数"cursor"不合法')
+    const { results: reply } = await db.replyPageQuery
+      .bind(site, event.rid, isAdminUser ? 2 : 1, uid, ...cursor, per + 1)
+      .all()
+    const more = reply.length > per
+    if (more) reply.splice(per)
+    // 被回复的评论可能不在本页中，读取其昵称用于显示 ruser
+    const pids = [...new Set(reply.map((item) => item.pid))]
+      .filter((pid) => pid && !reply.some((item) => item._id === pid))
+    const { results: parents } = pids.length
+      ? await db.commentNicksQuery.bind(JSON.stringify(pids), site).all()
+      : { results: [] }
+    const comments = [...reply, ...parents]
+    const data = reply.map((item) => toCommentDto({ ...item, like: [] }, uid, [], comments, config))
+    const last = reply[reply.length - 1]
+    res.data = await markReactions(markEdited(data, reply), uid)
+    res.cursor = more ? encodeCursor([last.created, last._id]) : null
+    res.more = more
+  } catch (e) {
+    res.data = []
+    res.message = e.message
+  }
+  return res
+}
+
+const COMMENT_SEARCH_FIELDS = ['nick', 'mail', 'link', 'ip', 'comment', 'url', 'href']
+// trigram 分词只能检索不少于 3 个字符的词，更短的词使用 LIKE
+const FTS_MIN_TERM_LENGTH = 3
+
+/**
+ * 解析管理员检索关键词，支持 nick:xxx、url:xxx、ip:xxx 等字段过滤和带引号的短语
+ * @returns {Object} match 为全文索引检索式，likes 为需要使用 LIKE 的条件
+ */
+function parseCommentSearch (keyword = '') {
+  const matches = []
+  const likes = []
+  for (const [, prefix, quoted, plain] of String(keyword).matchAll(/(?:(\w+):)?(?:"([^"]*)"|(\S+))/g)) {
+    let value = quoted ?? plain
+    let fields = COMMENT_SEARCH_FIELDS
+    if (prefix && COMMENT_SEARCH_FIELDS.includes(prefix.toLowerCase())) {
+      fields = [prefix.toLowerCase()]
+    } else if (prefix) {
+      // 不是字段名，例如 https://
+      value = `${prefix}:${value}`
+    }
+    if (!value) continue
+    if ([...value].length >= FTS_MIN_TERM_LENGTH) {
+      const phrase = `"${value.replace(/"/g, '""')}"`
+      matches.push(fields.length === 1 ? `${fields[0]} : ${phrase}` : phrase)
+    } else {
+      likes.push({ fields, value })
+    }
+  }
+  return { match: matches.join(' AND '), likes }
+}
+
+function encodeCursor (values) {
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(values)))
+}
+
+function decodeCursor (cursor) {
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(cursor)))
+  } catch (e) {
+    throw new Error('参数"cursor"不合法')
+  }
+}
+
+function parseFilterTime (time, name) {
+  const timestamp = typeof time === 'number' ? time : new Date(time).getTime()
+  if (Number.isNaN(timestamp)) throw new Error(`参数"${name}"不合法`)
+  return timestamp
+}
+
+/**
+ * 生成管理员评论查询的条件及参数
+ * @param {String} event.type VISIBLE、HIDDEN 或全部
+ * @param {String} event.keyword 检索关键词
+ * @param {Object} filter 筛选条件 { ip, mail, url, after, before }
+ */
+function getCommentForAdminConditions ({ type, keyword }, filter = {}) {
+  const { site } = getContext()
+  const search = parseCommentSearch(keyword)
+  const fts = !!search.match
+  const filters = Object.keys(DBBinding.commentFilterConditions)
+    .filter((name) => filter[name] !== undefined && filter[name] !== '')
+  return {
+    fts,
+    options: { fts, likes: search.likes.map(({ fields }) => fields), filters },
+    params: [
+      site,
+      type === 'VISIBLE' ? 1 :
+      type === 'HIDDEN' ? 0 :
+      2,
+      ...(fts ? [search.match] : []),
+      ...search.likes.flatMap(({ fields, value }) => fields.map(() => `%${value}%`)),
+      ...filters.map((name) => name === 'after' || name === 'before'
+        ? parseFilterTime(filter[name], name)
+        : name === 'url' ? normalizeUrl(filter[name]) : filter[name])
+    ]
+  }
+}
+
+/**
+ * 管理员读取评论
+ * @param {Number} event.per 每页数量
+ * @param {String} event.cursor 上一页返回的游标，不传时读取第一页
+ * @param {Number} event.page 页码，仅在未传 cursor 时兼容使用
+ * @param {String} event.keyword 检索关键词
+ * @param {String} event.type VISIBLE、HIDDEN 或全部
+ */
+async function commentGetForAdmin (event) {
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['per'])
+    const per = parseInt(event.per)
+    const { fts, options, params } = getCommentForAdminConditions(event)
+    const count = await db.getCommentForAdminQuery({ ...options, mode: 'count' })
+      .bind(...params)
+      .first('count')
+    let query
+    if (event.cursor || !(event.page > 1)) {
+      // 游标分页：按相关度或时间排序，以 _id 区分排序值相同的评论
+      const [value, id] = event.cursor
+        ? decodeCursor(event.cursor)
+        : [fts ? -Number.MAX_VALUE : MAX_TIMESTAMP_MILLIS, '']
+      query = db.getCommentForAdminQuery({ ...options, mode: 'keyset' })
+        .bind(...params, value, value, id, per + 1)
+    } else {
+      query = db.getCommentForAdminQuery({ ...options, mode: 'offset' })
+        .bind(...params, per + 1, per * (event.page - 1))
+    }
+    const { results: data } = await query.all()
+    // 多读 1 条确认是否还有下一页
+    const more = data.length > per
+    if (more) data.splice(per)
+    const last = data[data.length - 1]
+    res.code = RES_CODE.SUCCESS
+    res.count = count
+    res.cursor = more ? encodeCursor([fts ? last._rank : last.created, last._id]) : null
+    res.data = data.map(({ _rank, ...comment }) => comment)
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 管理员修改评论
+async function commentSetForAdmin (event, request, ctx) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['id', 'set'])
+    const fields = Object.keys(event.set).sort()
+    const comment = await getSiteComment(event.id)
+    await db.DB.batch([
+      db.getCommentSetStmt(fields).bind(
+        ...fields.map(field => event.set[field]), event.id, site
+      ),
+      ...getAuditStmts(
+        request, 'COMMENT_SET_FOR_ADMIN', [event.id],
+        comment && Object.fromEntries(fields.map((field) => [field, comment[field]])), event.set
+      ),
+      ...(comment && fields.includes('isSpam') ? getSpamTrainStmts(comment, event.set.isSpam) : [])
+    ])
+    if (comment) {
+      const updated = { ...comment, ...event.set }
+      if (fields.includes('isSpam') && !!comment.isSpam !== !!updated.isSpam) {
+        await triggerWebhooks(updated.isSpam ? 'comment.spam' : 'comment.approved', [updated], ctx)
+      }
+      if (fields.some((field) => !BULK_SET_FIELDS.includes(field))) {
+        await triggerWebhooks('comment.updated', [updated], ctx)
+      }
+    }
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 管理员删除评论
+async function commentDeleteForAdmin (event, request, ctx) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['id'])
+    const comment = await getSiteComment(event.id)
+    if (event.cascade) {
+      // 同时删除所有回复，避免留下孤立的回复
+      const ids = await getCommentSubtree([event.id])
+      const { results: comments } = await db.commentsByIdsQuery.bind(JSON.stringify(ids), site).all()
+      await db.DB.batch([
+        db.commentBulkDeleteStmt.bind(JSON.stringify(ids), site),
+        ...getAuditStmts(request, 'COMMENT_DELETE_FOR_ADMIN', ids, comment, null)
+      ])
+      res.count = ids.length
+      await triggerWebhooks('comment.deleted', comments, ctx)
+    } else {
+      await db.DB.batch([
+        db.commentDeleteStmt.bind(event.id, site),
+        ...getAuditStmts(request, 'COMMENT_DELETE_FOR_ADMIN', [event.id], comment, null)
+      ])
+      if (comment) await triggerWebhooks('comment.deleted', [comment], ctx)
+    }
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 读取当前站点的评论，其他站点的评论视为不存在
+async function getSiteComment (id) {
+  const { site } = getContext()
+  const comment = await db.commentByIdQuery.bind(id).first()
+  return comment?.site === site ? comment : null
+}
+
+// 批量操作允许修改的字段
+const BULK_SET_FIELDS = ['isSpam', 'top']
+// 批量操作支持的筛选条件
+const BULK_FILTER_KEYS = ['type', 'keyword', ...Object.keys(DBBinding.commentFilterConditions)]
+
+async function getCommentSubtree (ids) {
+  const { results } = await db.commentSubtreeQuery.bind(JSON.stringify(ids)).all()
+  return results.map((comment) => comment._id)
+}
+
+/**
+ * 读取批量操作的评论 ID
+ * @param {Array} event.ids 评论 ID 列表
+ * @param {Object} event.filter 筛选条件 { type, keyword, ip, mail, url, after, before }，未传 ids 时使用
+ * @param {Boolean} event.cascade 是否包含所有回复
+ */
+async function getBulkCommentIds (event) {
+  const { site } = getContext()
+  let ids
+  if (Array.isArray(event.ids) && event.ids.length) {
+    // 忽略其他站点的评论
+    const { results } = await db.commentsByIdsQuery.bind(JSON.stringify(event.ids), site).all()
+    ids = results.map((comment) => comment._id)
+  } else if (event.filter && typeof event.filter === 'object') {
+    const invalidKey = Object.keys(event.filter).find((key) => !BULK_FILTER_KEYS.includes(key))
+    if (invalidKey) throw new Error(`不支持的筛选条件：${invalidKey}`)
+    const { options, params } = getCommentForAdminConditions(event.filter, event.filter)
+    // 关键词只有空白、type 不是 VISIBLE 或 HIDDEN 时不会产生筛选条件，不允许因此操作全部评论
+    const { type } = event.filter
+    if (!options.fts && !options.likes.length && !options.filters.length && type !== 'VISIBLE' && type !== 'HIDDEN') {
+      throw new Error('请指定评论 ID 或筛选条件')
+    }
+    const { results } = await db.getCommentForAdminQuery({ ...options, mode: 'id' })
+      .bind(...params)
+      .all()
+    ids = results.map((comment) => comment._id)
+  } else {
+    // 不允许无条件地操作全部评论
+    throw new Error('请指定评论 ID 或筛选条件')
+  }
+  if (event.cascade && ids.length) ids = await getCommentSubtree(ids)
+  return ids
+}
+
+/**
+ * 管理员批量修改评论（通过、标记为垃圾、置顶等）
+ * @param {Object} event.set 修改的字段，仅支持 isSpam 和 top
+ * @param {Boolean} event.dryRun 仅返回受影响的评论，不修改
+ */
+async function commentBulkSetForAdmin (event, request, ctx) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['set'])
+    const fields = Object.keys(event.set).sort()
+    const invalidField = fields.find((field) => !BULK_SET_FIELDS.includes(field))
+    if (invalidField || !fields.length) throw new Error('参数"set"不合法')
+    const ids = await getBulkCommentIds(event)
+    if (!event.dryRun && ids.length) {
+      const { results: comments } = await db.commentsByIdsQuery.bind(JSON.stringify(ids), site).all()
+      const before = Object.fromEntries(comments.map((comment) => [
+        comment._id, Object.fromEntries(fields.map((field) => [field, comment[field]]))
+      ]))
+      await db.DB.batch([
+        db.getCommentBulkSetStmt(fields).bind(
+          ...fields.map(field => event.set[field]), JSON.stringify(ids), site
+        ),
+        ...getAuditStmts(request, 'COMMENT_BULK_SET_FOR_ADMIN', ids, before, event.set)
+      ])
+      if (fields.includes('isSpam')) {
+        // 训练垃圾评论分类器
+        const stmts = comments.flatMap((comment) => getSpamTrainStmts(comment, event.set.isSpam))
+        for (let i = 0; i < stmts.length; i += SPAM_TRAIN_BATCH_SIZE) {
+          await db.DB.batch(stmts.slice(i, i + SPAM_TRAIN_BATCH_SIZE))
+        }
+        const changed = comments
+          .filter((comment) => !!comment.isSpam !== !!event.set.isSpam)
+          .map((comment) => ({ ...comment, ...event.set }))
+        await triggerWebhooks(event.set.isSpam ? 'comment.spam' : 'comment.approved', changed, ctx)
+      }
+    }
+    res.code = RES_CODE.SUCCESS
+    res.count = ids.length
+    res.ids = ids
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+/**
+ * 管理员批量删除评论
+ * @param {Boolean} event.dryRun 仅返回受影响的评论，不删除
+ */
+async function commentBulkDeleteForAdmin (event, request, ctx) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const ids = await getBulkCommentIds(event)
+    if (!event.dryRun && ids.length) {
+      const { results: comments } = await db.commentsByIdsQuery.bind(JSON.stringify(ids), site).all()
+      // 批量删除的评论可能很多，日志只记录 ID
+      await db.DB.batch([
+        db.commentBulkDeleteStmt.bind(JSON.stringify(ids), site),
+        ...getAuditStmts(request, 'COMMENT_BULK_DELETE_FOR_ADMIN', ids, null, null)
+      ])
+      await triggerWebhooks('comment.deleted', comments, ctx)
+    }
+    res.code = RES_CODE.SUCCESS
+    res.count = ids.length
+    res.ids = ids
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 每次请求最多处理的评论数，未处理完的部分通过 COMMENT_IMPORT_CONTINUE_FOR_ADMIN 继续导入
+const DEFAULT_IMPORT_CHUNK_SIZE = 1000
+// 每个 batch 写入的评论数
+const IMPORT_BATCH_SIZE = 100
+const IMPORT_JOBS_LIMIT = 20
+
+/**
+ * 管理员导入评论
+ * 评论分批写入，并记录在导入任务中。一次请求未能处理完时返回 more: true，
+ * 此时可以发送 COMMENT_IMPORT_CONTINUE_FOR_ADMIN，或重新上传同一文件继续导入
+ * @param {String} event.source 来源：valine、disqus、artalk、artalk2、twikoo、wordpress、waline 或 commento
+ * @param {String} event.file 导入文件的内容
+ * @param {String} event.id 继续导入时的任务 ID
+ */
+async function commentImportForAdmin (event, request) {
+  const { site } = getContext()
+  const res = {}
+  let logText = ''
+  const log = (message) => {
+    logText += `${new Date().toLocaleString()} ${message}\n`
+  }
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    try {
+      let job
+      if (event.id) {
+        validate(event, ['file'])
+        job = await db.importJobQuery.bind(event.id, site).first()
+        if (!job) throw new Error('导入任务不存在')
+        if (job.fileHash !== await getImportFileHash(event.file)) throw new Error('文件与导入任务不一致')
+        log(`继续导入任务 ${job.id}`)
+      } else {
+        validate(event, ['source', 'file'])
+      }
+      const source = job?.source ?? event.source
+      log(`开始导入 ${source}`)
+      const comments = await parseImportFile(source, event.file, log)
+      // 导入函数遇到格式错误时只记录日志
+      if (!Array.isArray(comments)) throw new Error('导入失败')
+      if (!job) {
+        const fileHash = await getImportFileHash(event.file)
+        job = await db.unfinishedImportJobQuery.bind(site, source, fileHash).first()
+        if (job) {
+          log(`继续未完成的导入任务 ${job.id}`)
+        } else {
+          job = await db.saveImportJobStmt.bind(
+            uuidv4().replace(/-/g, ''), site, source, fileHash, comments.length, Date.now()
+          ).first()
+        }
+      }
+      res.job = await runImportJob(job, comments, request, log)
+      res.more = res.job.status !== 'done'
+      log(res.more ? `已处理 ${res.job.processed}/${res.job.total}，请继续导入` : '导入成功')
+    } catch (e) {
+      log(e.message)
+    }
+    res.code = RES_CODE.SUCCESS
+    res.log = logText
+    logger.info(logText)
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+/**
+ * 管理员继续未完成的导入任务
+ * @param {String} event.id 任务 ID
+ * @param {String} event.file 与开始导入时相同的文件
+ */
+async function commentImportContinueForAdmin (event, request) {
+  validate(event, ['id'])
+  return commentImportForAdmin(event, request)
+}
+
+/**
+ * 管理员读取导入任务
+ * @param {String} event.id 任务 ID，不传时返回最近的任务
+ */
+async function commentImportJobGetForAdmin (event) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    if (event.id) {
+      res.data = await db.importJobQuery.bind(event.id, site).first()
+    } else {
+      res.data = (await db.importJobsQuery.bind(site, IMPORT_JOBS_LIMIT).all()).results
+    }
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 将导入文件解析为评论
+async function parseImportFile (source, file, log) {
+  switch (source) {
+    case 'valine': {
+      const valineDb = await readFile(file, 'json', log)
+      return commentImportValine(valineDb, log)
+    }
+    case 'disqus': {
+      const disqusDb = await readFile(file, 'xml', log)
+      return commentImportDisqus(disqusDb, log)
+    }
+    case 'artalk': {
+      const artalkDb = await readFile(file, 'json', log)
+      return commentImportArtalk(artalkDb, log)
+    }
+    case 'artalk2': {
+      const artalkDb = await readFile(file, 'json', log)
+      return commentImportArtalk2(artalkDb, log)
+    }
+    case 'twikoo': {
+      const twikooDb = await readFile(file, 'json', log)
+      return commentImportTwikoo(twikooDb, log)
+    }
+    case 'wordpress': {
+      const wxrDb = await readFile(file, 'xml', log)
+      return commentImportWordpress(wxrDb, log)
+    }
+    case 'waline': {
+      // 支持 Waline 管理后台导出的 JSON 和数据库导出的 CSV
+      const content = await readFile(file, 'text', log)
+      const walineDb = /^\s*[[{]/.test(content ?? '') ? jsonParse(content) : parseCsv(content ?? '')
+      return commentImportWaline(walineDb, log)
+    }
+    case 'commento': {
+      const commentoDb = await readFile(file, 'json', log)
+      return commentImportCommento(commentoDb, log)
+    }
+    default:
+      throw new Error(`不支持 ${source} 的导入，请更新 Twikoo 云函数至最新版本`)
+  }
+}
+
+// WordPress WXR 中的文本节点，带属性时内容在 _ 中
+function wxrText (node, key) {
+  const value = node?.[key]?.[0]
+  return (typeof value === 'object' ? value._ : value) ?? ''
+}
+
+// WordPress 的日期格式为 2020-01-02 03:04:05，_gmt 字段为 UTC 时间
+function parseWordpressDate (gmt, local) {
+  const date = gmt && !gmt.startsWith('0000') ? gmt : local
+  return new Date(`${date.replace(' ', 'T')}Z`).getTime()
+}
+
+// 与 WordPress 的 wpautop 相似，空行分段，单个换行转为 <br>
+function wordpressAutop (content) {
+  return content.trim().split(/\n\s*\n/)
+    .map((paragraph) => `<p>${paragraph.trim().replace(/\n/g, '<br>')}</p>`)
+    .join('')
+}
+
+// 沿父评论向上查找主楼 ID，parentOf 为评论 ID 到父评论 ID 的映射
+function getRootCommentId (parentOf, id) {
+  let root = id
+  const visited = new Set([id])
+  while (parentOf.get(root) && !visited.has(parentOf.get(root))) {
+    root = parentOf.get(root)
+    visited.add(root)
+  }
+  return root
+}
+
+// 解析 CSV，第一行为字段名
+function parseCsv (text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  text = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char !== '"') {
+        field += char
+      } else if (text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else {
+        quoted = false
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  const [header = [], ...records] = rows.filter((values) => values.some((value) => value !== ''))
+  return records.map((values) => Object.fromEntries(header.map((name, i) => [name.trim(), values[i] ?? ''])))
+}
+
+// WordPress 导入（WXR 导出文件）
+async function commentImportWordpress (wxrDb, log) {
+  const items = wxrDb?.rss?.channel?.[0]?.item
+  if (!items) {
+    log('WordPress 评论文件格式有误')
+    return
+  }
+  const records = []
+  for (const item of items) {
+    for (const comment of item['wp:comment'] ?? []) {
+      records.push({ item, comment, id: wxrText(comment, 'wp:comment_id') })
+    }
+  }
+  log(`共 ${records.length} 条评论`)
+  // 跳过 pingback、trackback 和回收站中的评论
+  const kept = records.filter(({ comment, id }) => {
+    const type = wxrText(comment, 'wp:comment_type')
+    if (type && type !== 'comment') {
+      log(`${id} 是 ${type}，跳过`)
+      return false
+    }
+    if (wxrText(comment, 'wp:comment_approved') === 'trash') {
+      log(`${id} 已删除，跳过`)
+      return false
+    }
+    return true
+  })
+  // 父评论未导入时作为主楼
+  const keptIds = new Set(kept.map(({ id }) => id))
+  const parentOf = new Map(kept.map(({ comment, id }) => {
+    const parent = wxrText(comment, 'wp:comment_parent')
+    return [id, keptIds.has(parent) ? parent : '']
+  }))
+  const comments = []
+  for (const { item, comment, id } of kept) {
+    try {
+      const link = wxrText(item, 'link')
+      const mail = wxrText(comment, 'wp:comment_author_email')
+      const parent = parentOf.get(id)
+      const created = parseWordpressDate(wxrText(comment, 'wp:comment_date_gmt'), wxrText(comment, 'wp:comment_date'))
+      if (!id || Number.isNaN(created)) throw new Error('缺少 ID 或时间')
+      comments.push({
+        _id: id,
+        nick: wxrText(comment, 'wp:comment_author'),
+        mail,
+        mailMd5: mail ? md5(normalizeMail(mail)) : '',
+        link: wxrText(comment, 'wp:comment_author_url'),
+        url: getRelativeUrl(link),
+        href: link,
+        comment: xss(wordpressAutop(wxrText(comment, 'wp:comment_content'))),
+        ua: '',
+        ip: wxrText(comment, 'wp:comment_author_IP'),
+        // 待审核和垃圾评论都不公开显示
+        isSpam: wxrText(comment, 'wp:comment_approved') !== '1',
+        master: false,
+        pid: parent || undefined,
+        rid: parent ? getRootCommentId(parentOf, id) : undefined,
+        created,
+        updated: created
+      })
+      log(`${id} 解析成功`)
+    } catch (e) {
+      log(`${id} 解析失败：${e.message}`)
+    }
+  }
+  log(`解析成功 ${comments.length} 条评论`)
+  return comments
+}
+
+// Waline 导入（管理后台导出的 JSON，或 wl_Comment 表导出的 CSV）
+async function commentImportWaline (walineDb, log) {
+  const records = Array.isArray(walineDb) ? walineDb : walineDb?.data?.Comment
+  if (!Array.isArray(records)) {
+    log('Waline 评论文件格式有误')
+    return
+  }
+  log(`共 ${records.length} 条评论`)
+  const comments = []
+  for (const comment of records) {
+    const id = `${comment.objectId ?? comment.id ?? ''}`
+    try {
+      const mail = comment.mail ?? ''
+      const created = new Date(comment.insertedAt || comment.createdAt).getTime()
+      const updated = new Date(comment.updatedAt || comment.insertedAt || comment.createdAt).getTime()
+      if (!id || Number.isNaN(created)) throw new Error('缺少 ID 或时间')
+      comments.push({
+        _id: id,
+        nick: comment.nick ?? '',
+        mail,
+        mailMd5: mail ? md5(normalizeMail(mail)) : '',
+        link: comment.link ?? '',
+        url: comment.url ?? '',
+        href: '',
+        comment: xss(marked.marked(comment.comment ?? '')),
+        ua: comment.ua ?? '',
+        ip: comment.ip ?? '',
+        // 待审核和垃圾评论都不公开显示
+        isSpam: comment.status !== 'approved',
+        master: false,
+        pid: comment.pid ? `${comment.pid}` : undefined,
+        rid: comment.rid ? `${comment.rid}` : undefined,
+        top: comment.sticky === true || comment.sticky === 1 || comment.sticky === '1',
+        created,
+        updated: Number.isNaN(updated) ? created : updated
+      })
+      log(`${id} 解析成功`)
+    } catch (e) {
+      log(`${id} 解析失败：${e.message}`)
+    }
+  }
+  log(`解析成功 ${comments.length} 条评论`)
+  return comments
+}
+
+// Commento 导入（管理后台导出的 JSON）
+async function commentImportCommento (commentoDb, log) {
+  if (!Array.isArray(commentoDb?.comments)) {
+    log('Commento 评论文件格式有误')
+    return
+  }
+  const commenters = new Map((commentoDb.commenters ?? []).map((commenter) => [commenter.commenterHex, commenter]))
+  log(`共 ${commentoDb.comments.length} 条评论`)
+  const kept = commentoDb.comments.filter((comment) => {
+    if (comment.deleted) {
+      log(`${comment.commentHex} 已删除，跳过`)
+      return false
+    }
+    return true
+  })
+  // 父评论未导入时作为主楼
+  const keptIds = new Set(kept.map((comment) => comment.commentHex))
+  const parentOf = new Map(kept.map((comment) => [
+    comment.commentHex,
+    keptIds.has(comment.parentHex) ? comment.parentHex : ''
+  ]))
+  const comments = []
+  for (const comment of kept) {
+    const id = comment.commentHex
+    try {
+      const commenter = commenters.get(comment.commenterHex) ?? {}
+      const mail = commenter.email ?? ''
+      const link = commenter.link && commenter.link !== 'undefined' ? commenter.link : ''
+      const parent = parentOf.get(id)
+      const created = new Date(comment.creationDate).getTime()
+      if (!id || Number.isNaN(created)) throw new Error('缺少 ID 或时间')
+      comments.push({
+        _id: id,
+        nick: commenter.name ?? 'Anonymous',
+        mail,
+        mailMd5: mail ? md5(normalizeMail(mail)) : '',
+        link,
+        url: comment.path ?? '',
+        href: comment.domain ? `https://${comment.domain}${comment.path ?? ''}` : '',
+        comment: xss(comment.html || marked.marked(comment.markdown ?? '')),
+        ua: '',
+        ip: '',
+        // 待审核和被标记的评论都不公开显示
+        isSpam: comment.state !== 'approved',
+        master: false,
+        pid: parent || undefined,
+        rid: parent ? getRootCommentId(parentOf, id) : undefined,
+        created,
+        updated: created
+      })
+      log(`${id} 解析成功`)
+    } catch (e) {
+      log(`${id} 解析失败：${e.message}`)
+    }
+  }
+  log(`解析成功 ${comments.length} 条评论`)
+  return comments
+}
+
+async function getImportFileHash (file) {
+  return sha256Hex(new TextEncoder().encode(String(file)))
+}
+
+// 由来源中的评论 ID 生成评论 ID，重复导入时 ID 不变，以便去重和保留回复关系
+async function getImportCommentId (source, sourceId) {
+  const { site } = getContext()
+  const hash = await sha256Hex(new TextEncoder().encode(JSON.stringify([site, source, String(sourceId)])))
+  return hash.substring(0, 32)
+}
+
+// Twikoo 导出的 like 为用户 ID 数组，或数据库中保存的 JSON 字符串
+function getImportedLikes ({ like }) {
+  if (typeof like === 'string') {
+    try {
+      like = JSON.parse(like)
+    } catch (e) {
+      return []
+    }
+  }
+  return Array.isArray(like) ? like.filter((uid) => typeof uid === 'string') : []
+}
+
+async function toImportedComment (source, comment) {
+  // 没有 ID 的评论按内容去重
+  const sourceId = comment._id ?? JSON.stringify([comment.url, comment.created, comment.nick, comment.comment])
+  return {
+    ...comment,
+    _id: await getImportCommentId(source, sourceId),
+    pid: comment.pid ? await getImportCommentId(source, comment.pid) : '',
+    rid: comment.rid ? await getImportCommentId(source, comment.rid) : '',
+    url: normalizeUrl(comment.url)
+  }
+}
+
+// 从任务记录的位置开始导入，每个 batch 与任务进度一同提交，中断后可以继续
+async function runImportJob (job, comments, request, log) {
+  const { site, config } = getContext()
+  let chunkSize = parseInt(config.IMPORT_CHUNK_SIZE)
+  if (!(chunkSize > 0)) chunkSize = DEFAULT_IMPORT_CHUNK_SIZE
+  const end = Math.min(job.processed + chunkSize, comments.length)
+  const imported = []
+  try {
+    if (job.processed >= comments.length) {
+      await db.importJobProgressStmt.bind(job.id, 'done', comments.length, 0, 0, Date.now()).run()
+    }
+    for (let start = job.processed; start < end; start += IMPORT_BATCH_SIZE) {
+      const batch = await Promise.all(comments.slice(start, Math.min(start + IMPORT_BATCH_SIZE, end))
+        .map((comment) => toImportedComment(job.source, comment)))
+      const { results: existing } = await db.existingCommentIdsQuery
+        .bind(JSON.stringify(batch.map((comment) => comment._id)))
+        .all()
+      const existingIds = new Set(existing.map((comment) => comment._id))
+      const { results: existingKeys } = await db.existingCommentKeysQuery
+        .bind(site, JSON.stringify(batch.map((comment) => [comment.url, Number(comment.created)])))
+        .all()
+      // 同一页面同一时间只能有一条评论，与已有评论或本批中前面的评论冲突的跳过
+      const keys = new Set(existingKeys.map((comment) => JSON.stringify([comment.url, comment.created])))
+      const added = batch.filter((comment) => {
+        if (existingIds.has(comment._id)) return false
+        const key = JSON.stringify([comment.url, Number(comment.created)])
+        if (keys.has(key)) {
+          log(`${comment._id} 与已有评论的页面和时间相同，跳过`)
+          return false
+        }
+        keys.add(key)
+        return true
+      })
+      const processed = start + batch.length
+      await db.DB.batch([
+        ...added.map((comment) => db.importCommentStmt.bind(...getSaveCommentParams(comment))),
+        ...added
+          .filter((comment) => getImportedLikes(comment).length)
+          .map((comment) => db.reactionImportStmt.bind(comment._id, JSON.stringify(getImportedLikes(comment)), comment.created)),
+        db.importJobProgressStmt.bind(
+          job.id, processed < comments.length ? 'running' : 'done', processed,
+          added.length, batch.length - added.length, Date.now()
+        )
+      ])
+      imported.push(...added.map((comment) => comment._id))
+      log(`已处理 ${processed}/${comments.length}，新增 ${added.length} 条，跳过 ${batch.length - added.length} 条`)
+    }
+  } catch (e) {
+    await db.importJobFailStmt.bind(job.id, e.message, Date.now()).run()
+    throw e
+  } finally {
+    await audit(request, 'COMMENT_IMPORT_FOR_ADMIN', imported, null, { source: job.source, job: job.id, count: imported.length })
+  }
+  return db.importJobQuery.bind(job.id, site).first()
+}
+
+/**
+ * 管理员导出评论
+ * JSON 格式不传 per 时返回全部评论，传 per 时分页返回；其他格式分页读取评论，以文件流返回
+ * @param {String} event.format json（默认）、csv、disqus 或 wordpress
+ * @param {String} event.url 只导出以此开头的页面地址
+ * @param {String|Number} event.after 只导出此时间及之后的评论
+ * @param {String|Number} event.before 只导出此时间之前的评论
+ * @param {Boolean} event.spam 是否包含垃圾评论，默认包含
+ * @param {Boolean} event.anonymize 是否去除 IP、邮箱和用户 ID，用于公开存档
+ * @param {Number} event.per JSON 格式的每页数量
+ * @param {String} event.cursor JSON 格式上一页返回的游标
+ */
+async function commentExportForAdmin (event, headers) {
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const format = event.format || 'json'
+    if (format !== 'json' && !EXPORT_FORMATS[format]) {
+      throw new Error(`不支持导出为 ${format} 格式`)
+    }
+    const { filters, params } = getCommentExportConditions(event)
+    if (format !== 'json') {
+      return new Response(streamCommentExport(EXPORT_FORMATS[format], filters, params, !!event.anonymize), {
+        headers: {
+          ...headers,
+          'content-type': EXPORT_FORMATS[format].type,
+          'content-disposition': `attachment; filename="twikoo-comments.${EXPORT_FORMATS[format].extension}"`
+        }
+      })
+    }
+    // 不传 per 时兼容旧版管理面板，一次返回全部评论
+    const per = event.per ? parseInt(event.per) : -1
+    if (event.per && !(per > 0)) throw new Error('参数"per"不合法')
+    const cursor = event.cursor ? decodeCursor(event.cursor) : EXPORT_FIRST_CURSOR
+    const { results } = await db.getCommentExportQuery(filters)
+      .bind(...params, ...cursor, per > 0 ? per + 1 : -1)
+      .all()
+    // 多读 1 条确认是否还有下一页
+    const more = per > 0 && results.length > per
+    if (more) results.splice(per)
+    const last = results[results.length - 1]
+    res.code = RES_CODE.SUCCESS
+    res.cursor = more ? encodeCursor([last.url, last.created, last._id]) : null
+    res.data = results.map(({ _title, ...comment }) => toExportedComment(comment, event.anonymize))
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 从第一条评论开始导出的游标，评论的 created 不小于 0
+const EXPORT_FIRST_CURSOR = ['', -1, '']
+const EXPORT_PAGE_SIZE = 500
+const EXPORT_CSV_FIELDS = [
+  '_id', 'uid', 'nick', 'mail', 'mailMd5', 'link', 'ua', 'ip', 'master', 'url', 'href', 'comment',
+  'pid', 'rid', 'isSpam', 'created', 'updated', 'like', 'top', 'avatar', 'edited'
+]
+
+function getCommentExportConditions ({ url, after, before, spam }) {
+  const { site } = getContext()
+  const filters = []
+  const params = [site]
+  if (url) {
+    filters.push('url')
+    params.push(`${url.replace(/[\\%_]/g, '\\$&')}%`)
+  }
+  if (after !== undefined && after !== '') {
+    filters.push('after')
+    params.push(parseFilterTime(after, 'after'))
+  }
+  if (before !== undefined && before !== '') {
+    filters.push('before')
+    params.push(parseFilterTime(before, 'before'))
+  }
+  if (spam === false) filters.push('visible')
+  return { filters, params }
+}
+
+// 点赞记录在 comment_reaction 表中，导出时写回 like 字段，以便重新导入
+// 用户 ID 即评论者的 accessToken，公开存档时需要与 IP、邮箱、点赞记录一同去除
+function toExportedComment ({ _likes, ...comment }, anonymize) {
+  return anonymize
+    ? { ...comment, uid: '', mail: '', mailMd5: '', ip: '', like: '[]' }
+    : { ...comment, like: _likes }
+}
+
+// 每次读取一页评论写入文件流，不必一次读取全部评论
+function streamCommentExport (format, filters, params, anonymize) {
+  const { config } = getContext()
+  const query = db.getCommentExportQuery(filters)
+  const encoder = new TextEncoder()
+  // 文件流在响应返回后才读取，此时已不在请求的上下文中
+  const state = { config }
+  let cursor = EXPORT_FIRST_CURSOR
+  return new ReadableStream({
+    start (controller) {
+      controller.enqueue(encoder.encode(format.header(state)))
+    },
+    async pull (controller) {
+      try {
+        const { results } = await query.bind(...params, ...cursor, EXPORT_PAGE_SIZE).all()
+        if (results.length) {
+          const last = results[results.length - 1]
+          cursor = [last.url, last.created, last._id]
+          controller.enqueue(encoder.encode(results
+            .map((comment) => format.comment(toExportedComment(comment, anonymize), state))
+            .join('')))
+        }
+        if (results.length < EXPORT_PAGE_SIZE) {
+          controller.enqueue(encoder.encode(format.footer(state)))
+          controller.close()
+        }
+      } catch (e) {
+        logger.error('导出评论失败：', e)
+        controller.error(e)
+      }
+    }
+  })
+}
+
+function toCsvField (value) {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toDisqusDate (time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+// WordPress 的日期格式，comment_date 和 comment_date_gmt 都使用 UTC 时间
+function toWordpressDate (time) {
+  return new Date(time).toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '')
+}
+
+const EXPORT_FORMATS = {
+  csv: {
+    type: 'text/csv;charset=UTF-8',
+    extension: 'csv',
+    header: () => `${EXPORT_CSV_FIELDS.join(',')}\r\n`,
+    comment: (comment) => `${EXPORT_CSV_FIELDS.map((field) => toCsvField(comment[field])).join(',')}\r\n`,
+    footer: () => ''
+  },
+  // 与 Disqus 导出文件相同的格式，每个页面的 thread 在其第一条评论之前输出
+  disqus: {
+    type: 'application/xml;charset=UTF-8',
+    extension: 'xml',
+    header: () => `<?xml version="1.0" encoding="utf-8"?>
+<disqus xmlns="http://disqus.com" xmlns:dsq="http://disqus.com/disqus-internals">
+`,
+    comment: (comment, state) => {
+      let thread = ''
+      if (state.url !== comment.url) {
+        state.url = comment.url
+        state.thread = (state.thread ?? 0) + 1
+        thread = `  <thread dsq:id="${state.thread}">
+    <id>${escapeXml(comment.url)}</id>
+    <link>${escapeXml(comment.href || comment.url)}</link>
+    <title>${escapeXml(comment._title || comment.url)}</title>
+    <createdAt>${toDisqusDate(comment.created)}</createdAt>
+  </thread>
+`
+      }
+      return `${thread}  <post dsq:id="${escapeXml(comment._id)}">
+    <id>${escapeXml(comment._id)}</id>
+    <message>${escapeXml(comment.comment)}</message>
+    <createdAt>${toDisqusDate(comment.created)}</createdAt>
+    <isDeleted>false</isDeleted>
+    <isSpam>${!!comment.isSpam}</isSpam>
+    <author>
+      <email>${escapeXml(comment.mail)}</email>
+      <name>${escapeXml(comment.nick)}</name>
+      <isAnonymous>${!comment.mail}</isAnonymous>
+    </author>
+    <ipAddress>${escapeXml(comment.ip)}</ipAddress>
+    <thread dsq:id="${state.thread}"/>
+${comment.pid ? `    <parent dsq:id="${escapeXml(comment.pid)}"/>\n` : ''}  </post>
+`
+    },
+    footer: () => '</disqus>\n'
+  },
+  // WordPress 导出文件（WXR），每个页面一个 item，评论 ID 按导出顺序编号
+  wordpress: {
+    type: 'application/xml;charset=UTF-8',
+    extension: 'xml',
+    header: ({ config }) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <title>${escapeXml(config.SITE_NAME)}</title>
+  <link>${escapeXml(config.SITE_URL)}</link>
+  <wp:wxr_version>1.2</wp:wxr_version>
+`,
+    comment: (comment, state) => {
+      let item = ''
+      if (state.url !== comment.url) {
+        item = `${state.url !== undefined ? '  </item>\n' : ''}  <item>
+    <title>${escapeXml(comment._title || comment.url)}</title>
+    <link>${escapeXml(comment.href || comment.url)}</link>
+    <wp:post_type>post</wp:post_type>
+    <wp:status>publish</wp:status>
+    <wp:comment_status>open</wp:comment_status>
+`
+        state.url = comment.url
+        state.ids = new Map()
+      }
+      state.id = (state.id ?? 0) + 1
+      state.ids.set(comment._id, state.id)
+      return `${item}    <wp:comment>
+      <wp:comment_id>${state.id}</wp:comment_id>
+      <wp:comment_author>${escapeXml(comment.nick)}</wp:comment_author>
+      <wp:comment_author_email>${escapeXml(comment.mail)}</wp:comment_author_email>
+      <wp:comment_author_url>${escapeXml(comment.link)}</wp:comment_author_url>
+      <wp:comment_author_IP>${escapeXml(comment.ip)}</wp:comment_author_IP>
+      <wp:comment_date>${toWordpressDate(comment.created)}</wp:comment_date>
+      <wp:comment_date_gmt>${toWordpressDate(comment.created)}</wp:comment_date_gmt>
+      <wp:comment_content>${escapeXml(comment.comment)}</wp:comment_content>
+      <wp:comment_approved>${comment.isSpam ? '0' : '1'}</wp:comment_approved>
+      <wp:comment_type>comment</wp:comment_type>
+      <wp:comment_parent>${state.ids.get(comment.pid) ?? 0}</wp:comment_parent>
+    </wp:comment>
+`
+    },
+    footer: (state) => `${state.url !== undefined ? '  </item>\n' : ''}</channel>
+</rss>
+`
+  }
+}
+
+// 读取文件并转为 js object
+async function readFile (file, type, log) {
+  try {
+    let content = file.toString('utf8')
+    log('评论文件读取成功')
+    if (type === 'json') {
+      content = jsonParse(content)
+      log('评论文件 JSON 解析成功')
+    } else if (type === 'xml') {
+      content = await xml2js.parseStringPromise(content)
+      log('评论文件 XML 解析成功')
+    }
+    return content
+  } catch (e) {
+    log(`评论文件读取失败：${e.message}`)
+  }
+}
+
+/**
+ * 点赞 / 取消点赞，或切换其他表态
+ * @param {String} event.id 评论 ID
+ * @param {String} event.kind 表态类型，须在 REACTION_KINDS 中，默认为 like
+ */
+async function commentLike (event) {
+  const res = {}
+  validate(event, ['id'])
+  const kind = event.kind || 'like'
+  if (!getReactionKinds().includes(kind)) throw new Error(`不支持的表态：${kind}`)
+  const [reacted, count] = await react(event.id, getUid(), kind)
+  res.reacted = reacted
+  res.count = count
+  return res
+}
+
+// 已表态时取消，否则添加，返回切换后是否已表态及该表态的数量
+async function react (id, uid, kind) {
+  const { site } = getContext()
+  const [, toggled, counted] = await db.DB.batch([
+    db.reactionDeleteStmt.bind(id, uid, kind),
+    db.reactionToggleStmt.bind(id, uid, kind, Date.now(), site),
+    db.reactionCountQuery.bind(id, kind)
+  ])
+  return [toggled.meta.changes > 0, counted.results[0]?.count ?? 0]
+}
+
+/**
+ * 提交评论。分为多个步骤
+ * 1. 参数校验
+ * 2. 预检测垃圾评论（包括限流、人工审核、违禁词检测等）
+ * 3. 保存到数据库
+ * 4. 触发异步任务（包括 IM 通知、邮件通知、第三方垃圾评论检测
+ *    等，因为这些任务比较耗时，所以要放在另一个线程进行）
+ * @param {String} event.nick 昵称
+ * @param {String} event.mail 邮箱
+ * @param {String} event.link 网址
+ * @param {String} event.ua UserAgent
+ * @param {String} event.url 评论页地址
+ * @param {String} event.comment 评论内容
+ * @param {String} event.pid 回复的 ID
+ * @param {String} event.rid 评论楼 ID
+ */
+async function commentSubmit (event, request, ctx) {
+  const res = {}
+  // 参数校验
+  validate(event, ['url', 'ua', 'comment'])
+  // 封禁检查
+  await checkBan({ ...event, ip: getIp(request), uid: getUid() })
+  // 验证码
+  await checkCaptcha(event, request)
+  // 预检测、转换
+  const data = await parse(event, request)
+  // 本地垃圾评论分类
+  await classifySpam(data)
+  // 保存
+  const comment = await save(data)
+  res.id = comment.id
+  await triggerWebhooks('comment.created', [comment], ctx)
+  // 异步垃圾检测、发送评论通知
+  await postSubmit(comment, ctx)
+  return res
+}
+
+const DEFAULT_COMMENT_EDIT_MINUTES = 10
+
+// 读取评论并确认属于当前用户，且未超过可修改的时间
+async function getOwnComment (id) {
+  const { config } = getContext()
+  const comment = await db.commentByIdQuery.bind(id).first()
+  if (!comment) throw new Error('评论不存在')
+  if (comment.uid !== getUid()) throw new Error('只能修改或删除自己的评论')
+  let editMinutes = parseFloat(config.COMMENT_EDIT_MINUTES)
+  if (Number.isNaN(editMinutes)) editMinutes = DEFAULT_COMMENT_EDIT_MINUTES
+  if (Date.now() - comment.created > editMinutes * 60000) {
+    throw new Error(editMinutes > 0 ? `只能在发表后 ${editMinutes} 分钟内修改或删除评论` : '不允许修改或删除评论')
+  }
+  return comment
+}
+
+/**
+ * 作者修改自己的评论
+ * @param {String} event.id 评论 ID
+ * @param {String} event.comment 新的评论内容
+ */
+async function commentUpdate (event, request, ctx) {
+  const { config } = getContext()
+  validate(event, ['id', 'comment'])
+  const comment = await getOwnComment(event.id)
+  // 修改后的内容与发表评论一样检查封禁规则、进行违禁词等预检测和本地垃圾评论分类，待审核的评论修改后仍需审核
+  await checkBan({ ...comment, comment: event.comment, ip: getIp(request), uid: getUid() })
+  const now = Date.now()
+  const data = {
+    ...comment,
+    comment: xss(event.comment),
+    isSpam: !!comment.isSpam || (isAdmin() ? false : preCheckSpam({ ...comment, comment: event.comment }, config)),
+    updated: now
+  }
+  await classifySpam(data)
+  await db.DB.batch([
+    db.saveCommentHistoryStmt.bind(
+      comment._id, 'update', comment.url, comment.nick, comment.comment, getIp(request) ?? '', now, comment.site
+    ),
+    db.updateCommentByUserStmt.bind(comment._id, data.comment, !!data.isSpam, now, data.spamScore ?? null)
+  ])
+  await triggerWebhooks('comment.updated', [data], ctx)
+  // 异步垃圾检测，修改评论不再发送通知
+  await postSubmit(data, ctx, 'spam_recheck')
+  return {
+    code: RES_CODE.SUCCESS,
+    id: comment._id
+  }
+}
+
+/**
+ * 作者删除自己的评论，已有回复的评论不能删除
+ * @param {String} event.id 评论 ID
+ */
+async function commentDelete (event, request, ctx) {
+  validate(event, ['id'])
+  const comment = await getOwnComment(event.id)
+  if (await db.replyCountQuery.bind(comment._id).first('count')) {
+    throw new Error('评论已有回复，不能删除')
+  }
+  await db.DB.batch([
+    db.saveCommentHistoryStmt.bind(
+      comment._id, 'delete', comment.url, comment.nick, comment.comment, getIp(request) ?? '', Date.now(), comment.site
+    ),
+    db.commentDeleteStmt.bind(comment._id, comment.site)
+  ])
+  await triggerWebhooks('comment.deleted', [comment], ctx)
+  return {
+    code: RES_CODE.SUCCESS,
+    id: comment._id
+  }
+}
+
+/**
+ * 管理员查看作者修改、删除评论的记录
+ * @param {String} event.id 评论 ID，不传时按时间倒序分页读取全部记录
+ */
+async function commentHistoryGetForAdmin (event) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    if (event.id) {
+      res.data = (await db.commentHistoryByIdQuery.bind(event.id, site).all()).results
+    } else {
+      validate(event, ['per', 'page'])
+      res.count = await db.commentHistoryCountQuery.bind(site).first('count')
+      res.data = (await db.commentHistoryQuery.bind(event.per, event.per * (event.page - 1), site).all()).results
+    }
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 保存评论
+async function save (data) {
+  data.id = data._id = uuidv4().replace(/-/g, '')
+  await db.saveCommentStmt.bind(...getSaveCommentParams(data)).run()
+  return data
+}
+
+function getSaveCommentParams (data) {
+  const { site } = getContext()
+  return [
+    data._id, data.uid ?? '', data.nick ?? '', data.mail ?? '', data.mailMd5 ?? '',
+    data.link ?? '', data.ua ?? '', data.ip ?? '', data.master ?? 0,
+    data.url, data.href ?? '', data.comment, data.pid ?? '', data.rid ?? '',
+    data.isSpam ?? 0, data.created, data.updated ?? data.created,
+    // 点赞记录在 comment_reaction 表中，like 字段不再使用
+    '[]', data.top ?? 0, data.avatar ?? '', site, data.spamScore ?? null
+  ]
+}
+
+async function getParentComment (currentComment) {
+	return db.commentByIdQuery.bind(currentComment.pid).first()
+}
+
+// 异步垃圾检测、发送评论通知
+// 任务先写入通知队列，再在响应返回后执行，失败的任务由定时任务重试
+async function postSubmit (comment, ctx, type = 'spam') {
+  const [{ id }] = await enqueueNotifications(comment._id, [type], Date.now())
+  const processing = processNotifications([id])
+  if (ctx) {
+    ctx.waitUntil(processing)
+  } else {
+    await processing
+  }
+}
+
+// 通知任务类型：垃圾检测完成后再发送即时消息和邮件通知
+const NOTIFICATION_TASKS = {
+  spam: notifySpamCheck,
+  spam_recheck: notifySpamRecheck,
+  im: notifyIm,
+  mail_master: notifyMailMaster,
+  mail_reply: notifyMailReply
+}
+const DEFAULT_NOTIFY_MAX_ATTEMPTS = 5
+// 重试间隔从 1 分钟开始翻倍，最长 6 小时
+const NOTIFY_RETRY_BASE_MILLIS = 60000
+const NOTIFY_RETRY_MAX_MILLIS = 21600000
+// 任务执行超时前不会被再次领取
+const NOTIFY_LOCK_MILLIS = 600000
+const NOTIFY_BATCH_SIZE = 50
+// 已完成的任务保留 7 天
+const NOTIFY_DONE_RETENTION_MILLIS = 604800000
+
+// types 的每一项为任务类型，或指定收件人的 { type, recipient }
+async function enqueueNotifications (commentId, types, now) {
+  const { site } = getContext()
+  const results = await db.DB.batch(types.map((task) => {
+    const { type, recipient = '' } = typeof task === 'string' ? { type: task } : task
+    return db.saveNotificationStmt.bind(commentId, type, now, site, recipient)
+  }))
+  return results.map(({ results }) => results[0])
+}
+
+// 执行通知任务，返回 true 表示成功
+async function processNotification (id) {
+  const now = Date.now()
+  const task = await db.notificationClaimStmt.bind(id, now, now + NOTIFY_LOCK_MILLIS).first()
+  // 已被其他请求领取或已完成
+  if (!task) return null
+  // 通知可能属于其他站点，在评论所在站点的上下文中执行
+  return runInSite(task.site, () => runNotification(task))
+}
+
+async function runNotification (task) {
+  try {
+    const comment = await db.commentByIdQuery.bind(task.commentId).first()
+    let next = []
+    // 评论已被删除时不再通知
+    if (comment) {
+      comment.id = comment._id
+      next = await NOTIFICATION_TASKS[task.type](comment, task) ?? []
+    }
+    await db.notificationDoneStmt.bind(task.id, Date.now()).run()
+    if (next.length) {
+      const created = await enqueueNotifications(task.commentId, next, Date.now())
+      await processNotifications(created.map((task) => task.id))
+    }
+    return true
+  } catch (e) {
+    logger.error(`通知任务 ${task.id}（${task.type}）失败：`, e)
+    const failed = task.attempts >= getNotifyMaxAttempts(getContext().config)
+    await db.notificationFailStmt.bind(
+      task.id, failed ? 'failed' : 'pending', e.message ?? String(e), Date.now() + getRetryDelay(task.attempts), Date.now()
+    ).run()
+    return false
+  }
+}
+
+// 通知和 Webhook 的最大尝试次数
+function getNotifyMaxAttempts (config) {
+  const maxAttempts = parseInt(config.NOTIFY_MAX_ATTEMPTS)
+  return maxAttempts > 0 ? maxAttempts : DEFAULT_NOTIFY_MAX_ATTEMPTS
+}
+
+// 第 attempts 次尝试失败后的重试间隔
+function getRetryDelay (attempts) {
+  return Math.min(NOTIFY_RETRY_BASE_MILLIS * 2 ** (attempts - 1), NOTIFY_RETRY_MAX_MILLIS)
+}
+
+async function processNotifications (ids) {
+  const results = { done: 0, retry: 0 }
+  for (const id of ids) {
+    const result = await processNotification(id)
+    if (result === true) results.done++
+    else if (result === false) results.retry++
+  }
+  return results
+}
+
+// 垃圾检测，完成后加入通知任务
+async function notifySpamCheck (comment) {
+  const { config } = getContext()
+  const isSpam = await postCheckSpam(comment, config)
+  // postCheckSpam 遇到异常时只记录日志，配置了检测服务却没有结果时视为失败
+  if (isSpam === undefined && (config.AKISMET_KEY || (config.QCLOUD_SECRET_ID && config.QCLOUD_SECRET_KEY))) {
+    throw new Error('垃圾评论检测失败')
+  }
+  await saveSpamCheckResult(comment, isSpam ?? false)
+  if (comment.isSpam && config.NOTIFY_SPAM === 'false') return []
+  return ['im', 'mail_master', 'mail_reply']
+}
+
+// 修改评论后重新进行垃圾检测，不再发送通知
+async function notifySpamRecheck (comment) {
+  await notifySpamCheck(comment)
+  return []
+}
+
+async function notifyIm (comment) {
+  const { config } = getContext()
+  await noticePushoo(comment, config)
+}
+
+async function notifyMailMaster (comment) {
+  const { config } = getContext()
+  const result = await noticeMaster(comment, config)
+  // noticeMaster 不会抛出发送异常，而是作为结果返回
+  if (result instanceof Error) throw result
+}
+
+// 通知被回复者以及订阅了页面或讨论串的读者
+// 每个收件人使用单独的任务，重试时不会重复发送给已经成功的收件人
+async function notifyMailReply (comment, task) {
+  const { config } = getContext()
+  const recipients = await getReplyRecipients(comment)
+  if (!recipients.length) return
+  const transport = createMailTransport()
+  if (!transport) {
+    logger.info('未配置邮箱或邮箱配置有误，不通知')
+    return
+  }
+  if (!task.recipient) {
+    return recipients.map((recipient) => ({ type: 'mail_reply', recipient: recipient.mail }))
+  }
+  // 收件人可能在任务执行前退订
+  const recipient = recipients.find((recipient) => recipient.mail === task.recipient)
+  if (!recipient) return
+  const result = await transport.sendMail({
+    from: `"${config.SENDER_NAME}" <${config.SENDER_EMAIL}>`,
+    to: recipient.mail,
+    ...await renderReplyMail(comment, recipient)
+  })
+  logger.log('回复通知结果：', recipient.mail, result)
+}
+
+function createMailTransport () {
+  const { config } = getContext()
+  if (!config.SMTP_SERVICE || !config.SMTP_USER || !config.SMTP_PASS) return null
+  const transport = nodemailer.createTransport({
+    service: config.SMTP_SERVICE,
+    auth: { user: config.SMTP_USER, pass: config.SMTP_PASS }
+  })
+  try {
+    transport.verify()
+  } catch (e) {
+    logger.warn('邮件初始化异常：', e.message)
+    return null
+  }
+  return transport
+}
+
+/**
+ * 计算需要收到回复通知的邮箱，同一邮箱以范围最小的订阅记录为准（讨论串 > 页面 > 全站）
+ * 被回复者没有订阅记录时默认通知，其他读者需要订阅页面或讨论串
+ * @returns {Array} { mail, parent, url, rid }，url、rid 为退订时使用的范围
+ */
+async function getReplyRecipients (comment) {
+  const { site, config } = getContext()
+  const parent = comment.pid ? await getParentComment(comment) : null
+  const parentMail = parent?.mail ? normalizeMail(parent.mail) : ''
+  const { results } = await db.subscriptionForCommentQuery.bind(comment.url, comment.rid ?? '', parentMail, site).all()
+  const scopes = new Map()
+  if (parentMail) scopes.set(parentMail, { subscribed: 1, url: comment.url, rid: comment.rid || parent._id, level: -1 })
+  for (const row of results) {
+    const level = row.rid ? 2 : row.url ? 1 : 0
+    const current = scopes.get(row.mail)
+    if (!current || current.level < level) scopes.set(row.mail, { ...row, level })
+  }
+  const recipients = []
+  for (const [mail, scope] of scopes) {
+    if (!scope.subscribed) continue
+    // 不通知评论者本人；博主会收到新评论通知，不再重复通知
+    if (equalsMail(mail, comment.mail) || equalsMail(mail, config.BLOGGER_EMAIL)) continue
+    recipients.push({ mail, parent: mail === parentMail ? parent : null, url: scope.url, rid: scope.rid })
+  }
+  return recipients
+}
+
+// 生成回复通知邮件，被回复者使用 MAIL_TEMPLATE，订阅者使用 MAIL_TEMPLATE_SUBSCRIPTION
+async function renderReplyMail (comment, recipient) {
+  const { config } = getContext()
+  const parent = recipient.parent
+  const unsubscribeUrl = await getUnsubscribeUrl(recipient.mail, recipient.url, recipient.rid)
+  const unsubscribeAllUrl = await getUnsubscribeUrl(recipient.mail, '', '')
+  const values = {
+    IMG: getAvatar(comment, config),
+    PARENT_IMG: parent ? getAvatar(parent, config) : '',
+    SITE_URL: config.SITE_URL,
+    SITE_NAME: config.SITE_NAME,
+    PARENT_NICK: parent?.nick ?? '',
+    PARENT_COMMENT: parent?.comment ?? '',
+    NICK: comment.nick,
+    COMMENT: comment.comment,
+    POST_URL: appendHashToUrl(comment.href || config.SITE_URL + comment.url, comment._id),
+    UNSUBSCRIBE_URL: unsubscribeUrl,
+    UNSUBSCRIBE_ALL_URL: unsubscribeAllUrl
+  }
+  const template = parent ? config.MAIL_TEMPLATE : config.MAIL_TEMPLATE_SUBSCRIPTION
+  let html = template
+    ? template.replace(/\${([A-Z_]+)}/g, (match, key) => values[key] ?? match)
+    : parent ? defaultReplyMailTemplate(values) : defaultSubscriptionMailTemplate(values)
+  // 自定义模板中没有退订链接时，在末尾附加
+  if (unsubscribeUrl && !/\${UNSUBSCRIBE_URL}/.test(template ?? '')) {
+    html += `
+      <p style="font-size:12px;color:#999999;text-align:center;">
+        <a style="color:#999999" href="${unsubscribeUrl}" target="_blank">不再接收此讨论的通知</a> |
+        <a style="color:#999999" href="${unsubscribeAllUrl}" target="_blank">不再接收任何通知</a>
+      </p>`
+  }
+  const subject = parent
+    ? config.MAIL_SUBJECT || `${values.PARENT_NICK}，您在『${values.SITE_NAME}』上的评论收到了回复`
+    : config.MAIL_SUBJECT_SUBSCRIPTION || `您在『${values.SITE_NAME}』上订阅的讨论有了新评论`
+  return { subject, html }
+}
+
+function defaultReplyMailTemplate ({ SITE_URL, SITE_NAME, PARENT_NICK, PARENT_COMMENT, NICK, COMMENT, POST_URL }) {
+  return `
+    <div style="border-top:2px solid #12ADDB;box-shadow:0 1px 3px #AAAAAA;line-height:180%;padding:0 15px 12px;margin:50px auto;font-size:12px;">
+      <h2 style="border-bottom:1px solid #dddddd;font-size:14px;font-weight:normal;padding:13px 0 10px 8px;">
+        您在<a style="text-decoration:none;color: #12ADDB;" href="${SITE_URL}" target="_blank">${SITE_NAME}</a>上的评论有了新的回复
+      </h2>
+      ${PARENT_NICK} 同学，您曾发表评论：
+      <div style="padding:0 12px 0 12px;margin-top:18px">
+        <div style="background-color: #f5f5f5;padding: 10px 15px;margin:18px 0;word-wrap:break-word;">${PARENT_COMMENT}</div>
+        <p><strong>${NICK}</strong>回复说：</p>
+        <div style="background-color: #f5f5f5;padding: 10px 15px;margin:18px 0;word-wrap:break-word;">${COMMENT}</div>
+        <p>
+          您可以点击<a style="text-decoration:none; color:#12addb" href="${POST_URL}" target="_blank">查看回复的完整內容</a>，
+          欢迎再次光临<a style="text-decoration:none; color:#12addb" href="${SITE_URL}" target="_blank">${SITE_NAME}</a>。<br>
+        </p>
+      </div>
+    </div>`
+}
+
+function defaultSubscriptionMailTemplate ({ SITE_URL, SITE_NAME, NICK, COMMENT, POST_URL }) {
+  return `
+    <div style="border-top:2px solid #12ADDB;box-shadow:0 1px 3px #AAAAAA;line-height:180%;padding:0 15px 12px;margin:50px auto;font-size:12px;">
+      <h2 style="border-bottom:1px solid #dddddd;font-size:14px;font-weight:normal;padding:13px 0 10px 8px;">
+        您在<a style="text-decoration:none;color: #12ADDB;" href="${SITE_URL}" target="_blank">${SITE_NAME}</a>上订阅的讨论有了新评论
+      </h2>
+      <div style="padding:0 12px 0 12px;margin-top:18px">
+        <p><strong>${NICK}</strong>说：</p>
+        <div style="background-color: #f5f5f5;padding: 10px 15px;margin:18px 0;word-wrap:break-word;">${COMMENT}</div>
+        <p>
+          您可以点击<a style="text-decoration:none; color:#12addb" href="${POST_URL}" target="_blank">查看评论的完整內容</a>，
+          欢迎再次光临<a style="text-decoration:none; color:#12addb" href="${SITE_URL}" target="_blank">${SITE_NAME}</a>。<br>
+        </p>
+      </div>
+    </div>`
+}
+
+// 定时重试到期的通知任务，并清理已完成的任务
+async function processOutbox (env, now) {
+  const { results } = await db.dueNotificationQuery.bind(now, NOTIFY_BATCH_SIZE).all()
+  const processed = await processNotifications(results.map((task) => task.id))
+  await db.notificationPurgeStmt.bind(now - NOTIFY_DONE_RETENTION_MILLIS).run()
+  return processed
+}
+
+/**
+ * 管理员读取通知队列
+ * @param {String} event.status 只读取指定状态（pending、done、failed）的任务
+ */
+async function notificationOutboxGetForAdmin (event) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['per', 'page'])
+    const status = event.status ?? ''
+    res.count = await db.notificationCountQuery.bind(status, site).first('count')
+    const { results } = await db.notificationQuery.bind(status, event.per, event.per * (event.page - 1), site).all()
+    res.data = results
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+/**
+ * 管理员立即重试通知任务，失败的任务会重新计算重试次数
+ * @param {Array} event.ids 任务 ID
+ */
+async function notificationOutboxRetryForAdmin (event, request) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['ids'])
+    const { results } = await db.notificationRetryStmt.bind(JSON.stringify(event.ids), Date.now(), site).all()
+    await audit(request, 'NOTIFICATION_OUTBOX_RETRY_FOR_ADMIN', results.map((task) => task.id), null, null)
+    Object.assign(res, await processNotifications(results.map((task) => task.id)))
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// Webhook 事件类型
+const WEBHOOK_EVENTS = ['comment.created', 'comment.approved', 'comment.spam', 'comment.updated', 'comment.deleted']
+// 载荷中包含的评论字段
+const WEBHOOK_COMMENT_FIELDS = ['nick', 'mail', 'link', 'url', 'href', 'comment', 'pid', 'rid', 'ip', 'ua', 'created', 'updated']
+const WEBHOOK_TIMEOUT_MILLIS = 10000
+// 投递记录中只保存响应内容的开头部分
+const WEBHOOK_RESPONSE_MAX_LENGTH = 1000
+const WEBHOOK_INSERT_BATCH_SIZE = 100
+
+// WEBHOOK_URLS 中的接收地址，多个地址用逗号或换行分隔
+function getWebhookEndpoints () {
+  const { config } = getContext()
+  return (config.WEBHOOK_URLS ?? '').split(/[,\s]+/).filter((url) => url)
+}
+
+// 未配置 WEBHOOK_EVENTS 时发送全部事件
+function isWebhookEventEnabled (name) {
+  const { config } = getContext()
+  if (!config.WEBHOOK_EVENTS) return true
+  return config.WEBHOOK_EVENTS.split(',').some((item) => item.trim() === name)
+}
+
+function toWebhookComment (comment) {
+  return {
+    id: comment._id,
+    ...Object.fromEntries(WEBHOOK_COMMENT_FIELDS.map((field) => [field, comment[field] ?? ''])),
+    master: !!comment.master,
+    isSpam: !!comment.isSpam,
+    top: !!comment.top
+  }
+}
+
+/**
+ * 为评论事件创建 Webhook 投递任务，每个接收地址一条记录
+ * 载荷在创建任务时生成，评论删除后仍可重新投递；失败的投递由定时任务重试
+ * @param {String} name 事件类型，见 WEBHOOK_EVENTS
+ * @param {Array} comments 评论，删除事件传入删除前的评论
+ */
+async function triggerWebhooks (name, comments, ctx) {
+  const { site } = getContext()
+  const endpoints = getWebhookEndpoints()
+  if (!endpoints.length || !comments.length || !isWebhookEventEnabled(name)) return
+  const now = Date.now()
+  const stmts = []
+  for (const comment of comments) {
+    const payload = JSON.stringify({ event: name, site, created: now, comment: toWebhookComment(comment) })
+    for (const endpoint of endpoints) {
+      stmts.push(db.saveWebhookDeliveryStmt.bind(site, endpoint, name, comment._id, payload, now))
+    }
+  }
+  const ids = []
+  for (let i = 0; i < stmts.length; i += WEBHOOK_INSERT_BATCH_SIZE) {
+    const results = await db.DB.batch(stmts.slice(i, i + WEBHOOK_INSERT_BATCH_SIZE))
+    ids.push(...results.map(({ results }) => results[0].id))
+  }
+  // 批量操作产生的投递较多，超出部分留给定时任务
+  const processing = processWebhookDeliveries(ids.slice(0, NOTIFY_BATCH_SIZE))
+  if (ctx) {
+    ctx.waitUntil(processing)
+  } else {
+    await processing
+  }
+}
+
+// 配置了 Webhook 地址但没有签名密钥时，在要写入的配置中加入新生成的密钥
+// 只在管理员修改配置时生成，投递时不再生成，避免并发的投递各自生成不同的密钥
+function withWebhookSecret (newConfig, currentConfig) {
+  const merged = { ...currentConfig, ...newConfig }
+  if (!merged.WEBHOOK_URLS || merged.WEBHOOK_SECRET) return newConfig
+  return { ...newConfig, WEBHOOK_SECRET: toBase64Url(crypto.getRandomValues(new Uint8Array(32))) }
+}
+
+// 签名内容为“时间戳.请求体”，接收方应同时检查时间戳，拒绝过旧的请求
+async function signWebhook (secret, timestamp, body) {
+  if (!secret) throw new Error('未配置 WEBHOOK_SECRET')
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`))
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// 发送 Webhook，返回 true 表示成功
+async function processWebhookDelivery (id) {
+  const now = Date.now()
+  const task = await db.webhookDeliveryClaimStmt.bind(id, now, now + NOTIFY_LOCK_MILLIS).first()
+  if (!task) return null
+  // 投递可能属于其他站点，显式使用所属站点的配置和密钥，不依赖当前请求或任务的上下文
+  const config = await readConfig(task.site)
+  let responseStatus = 0
+  let response = ''
+  try {
+    const timestamp = Math.floor(Date.now() / 1000)
+    const result = await fetch(task.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `Twikoo/${VERSION}`,
+        'X-Twikoo-Event': task.event,
+        'X-Twikoo-Delivery': String(task.id),
+        'X-Twikoo-Timestamp': String(timestamp),
+        'X-Twikoo-Signature': `sha256=${await signWebhook(config.WEBHOOK_SECRET, timestamp, task.payload)}`
+      },
+      body: task.payload,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MILLIS)
+    })
+    responseStatus = result.status
+    response = (await result.text()).slice(0, WEBHOOK_RESPONSE_MAX_LENGTH)
+    if (!result.ok) throw new Error(`接收地址返回 HTTP ${result.status}`)
+    await db.webhookDeliveryResultStmt.bind(
+      task.id, 'done', responseStatus, response, '', task.nextAttempt, Date.now()
+    ).run()
+    return true
+  } catch (e) {
+    logger.error(`Webhook 投递 ${task.id}（${task.event}）失败：`, e)
+    const failed = task.attempts >= getNotifyMaxAttempts(config)
+    await db.webhookDeliveryResultStmt.bind(
+      task.id, failed ? 'failed' : 'pending', responseStatus, response, e.message ?? String(e),
+      Date.now() + getRetryDelay(task.attempts), Date.now()
+    ).run()
+    return false
+  }
+}
+
+async function processWebhookDeliveries (ids) {
+  const results = { done: 0, retry: 0 }
+  for (const id of ids) {
+    const result = await processWebhookDelivery(id)
+    if (result === true) results.done++
+    else if (result === false) results.retry++
+  }
+  return results
+}
+
+// 定时重试到期的 Webhook 投递，并清理已成功的投递记录
+async function processWebhooks (env, now) {
+  const { results } = await db.dueWebhookDeliveryQuery.bind(now, NOTIFY_BATCH_SIZE).all()
+  const processed = await processWebhookDeliveries(results.map((task) => task.id))
+  await db.webhookDeliveryPurgeStmt.bind(now - NOTIFY_DONE_RETENTION_MILLIS).run()
+  return processed
+}
+
+/**
+ * 管理员读取 Webhook 投递记录
+ * @param {String} event.status 只读取指定状态（pending、done、failed）的投递
+ * @param {String} event.type 只读取指定事件类型的投递
+ */
+async function webhookDeliveryGetForAdmin (event) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['per', 'page'])
+    const status = event.status ?? ''
+    const type = event.type ?? ''
+    if (type && !WEBHOOK_EVENTS.includes(type)) throw new Error('参数"type"不合法')
+    res.count = await db.webhookDeliveryCountQuery.bind(status, type, site).first('count')
+    const { results } = await db.webhookDeliveryQuery.bind(status, type, event.per, event.per * (event.page - 1), site).all()
+    res.data = results
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+/**
+ * 管理员重新投递 Webhook，使用原载荷和新的签名，已成功的投递也会再次发送
+ * @param {Array} event.ids 投递记录 ID
+ */
+async function webhookDeliveryReplayForAdmin (event, request) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['ids'])
+    const { results } = await db.webhookDeliveryReplayStmt.bind(JSON.stringify(event.ids), Date.now(), site).all()
+    await audit(request, 'WEBHOOK_DELIVERY_REPLAY_FOR_ADMIN', results.map((task) => task.id), null, null)
+    Object.assign(res, await processWebhookDeliveries(results.map((task) => task.id)))
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 将评论转为数据库存储格式
+async function parse (comment, request) {
+  const { config } = getContext()
+  const timestamp = Date.now()
+  const isAdminUser = isAdmin()
+  const isBloggerMail = equalsMail(comment.mail, config.BLOGGER_EMAIL)
+  if (isBloggerMail && !isAdminUser) throw new Error('请先登录管理面板，再使用博主身份发送评论')
+  const hashMethod = config.GRAVATAR_CDN === 'cravatar.cn' ? md5 : sha256
+  const commentDo = {
+    _id: uuidv4().replace(/-/g, ''),
+    uid: getUid(),
+    nick: comment.nick ? comment.nick : '匿名',
+    mail: comment.mail ? comment.mail : '',
+    mailMd5: comment.mail ? hashMethod(normalizeMail(comment.mail)) : '',
+    link: comment.link ? comment.link : '',
+    ua: comment.ua,
+    ip: getIp(request),
+    master: isBloggerMail,
+    url: normalizeUrl(comment.url),
+    href: comment.href,
+    comment: xss(comment.comment),
+    pid: comment.pid ? comment.pid : comment.rid,
+    rid: comment.rid,
+    isSpam: isAdminUser ? false : preCheckSpam(comment, config),
+    created: timestamp,
+    updated: timestamp
+  }
+  if (isQQ(comment.mail)) {
+    commentDo.mail = addQQMailSuffix(comment.mail)
+    commentDo.mailMd5 = md5(normalizeMail(commentDo.mail))
+    commentDo.avatar = await getQQAvatar(comment.mail)
+  }
+  return commentDo
+}
+
+// 验证码服务，参数 config 为站点配置：publicConfig 为下发给前端的配置，verify 校验评论中的验证码，失败时抛出异常
+const CAPTCHA_PROVIDERS = {
+  Turnstile: {
+    configured: (config) => config.TURNSTILE_SITE_KEY && config.TURNSTILE_SECRET_KEY,
+    publicConfig: (config) => ({ TURNSTILE_SITE_KEY: config.TURNSTILE_SITE_KEY }),
+    verify: (config, comment, ip) => siteVerify('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+      secret: config.TURNSTILE_SECRET_KEY,
+      response: comment.turnstileToken,
+      remoteip: ip
+    })
+  },
+  hCaptcha: {
+    configured: (config) => config.HCAPTCHA_SITE_KEY && config.HCAPTCHA_SECRET_KEY,
+    publicConfig: (config) => ({ HCAPTCHA_SITE_KEY: config.HCAPTCHA_SITE_KEY }),
+    verify: (config, comment, ip) => siteVerify('https://api.hcaptcha.com/siteverify', {
+      secret: config.HCAPTCHA_SECRET_KEY,
+      sitekey: config.HCAPTCHA_SITE_KEY,
+      response: comment.hCaptchaToken,
+      remoteip: ip
+    })
+  },
+  // reCAPTCHA v3 不需要用户操作，按得分判断
+  reCAPTCHA: {
+    configured: (config) => config.RECAPTCHA_SITE_KEY && config.RECAPTCHA_SECRET_KEY,
+    publicConfig: (config) => ({ RECAPTCHA_SITE_KEY: config.RECAPTCHA_SITE_KEY }),
+    verify: async (config, comment, ip) => {
+      const data = await siteVerify('https://www.google.com/recaptcha/api/siteverify', {
+        secret: config.RECAPTCHA_SECRET_KEY,
+        response: comment.reCaptchaToken,
+        remoteip: ip
+      })
+      if (data.action && data.action !== RECAPTCHA_ACTION) throw new Error(`操作不匹配：${data.action}`)
+      let minScore = parseFloat(config.RECAPTCHA_MIN_SCORE)
+      if (Number.isNaN(minScore)) minScore = DEFAULT_RECAPTCHA_MIN_SCORE
+      if (!(data.score >= minScore)) throw new Error(`得分过低：${data.score}`)
+    }
+  },
+  // 工作量证明，不依赖第三方服务
+  PoW: {
+    configured: (config) => true,
+    publicConfig: (config) => ({ POW_DIFFICULTY: getPowDifficulty() }),
+    verify: (config, comment) => checkPowCaptcha(comment)
+  }
+}
+const RECAPTCHA_ACTION = 'comment'
+const DEFAULT_RECAPTCHA_MIN_SCORE = 0.5
+const DEFAULT_POW_DIFFICULTY = 16
+const MAX_POW_DIFFICULTY = 32
+const POW_CHALLENGE_MILLIS = 600000
+
+// 兼容未设置 CAPTCHA_PROVIDER、只配置了 Turnstile 密钥的旧配置
+function getCaptchaProvider () {
+  const { config } = getContext()
+  if (!config.CAPTCHA_PROVIDER && CAPTCHA_PROVIDERS.Turnstile.configured(config)) return 'Turnstile'
+  return config.CAPTCHA_PROVIDER ?? ''
+}
+
+// 当前验证码服务下发给前端的配置，不下发其他服务的 key
+function getCaptchaPublicConfig () {
+  const { config } = getContext()
+  const provider = getCaptchaProvider()
+  return {
+    CAPTCHA_PROVIDER: provider,
+    CAPTCHA_REQUIRED: config.CAPTCHA_REQUIRED || 'all',
+    ...(CAPTCHA_PROVIDERS[provider]?.configured(config) ? CAPTCHA_PROVIDERS[provider].publicConfig(config) : {})
+  }
+}
+
+/**
+ * 是否需要验证码，由 CAPTCHA_REQUIRED 决定，管理员不需要验证码
+ * all（默认）：所有评论
+ * anonymous：除非当前用户曾用同一邮箱在当前站点发表过通过审核的评论
+ * first：除非当前用户在当前站点有通过审核的评论
+ * 邮箱和 accessToken 都由客户端提交，因此只以服务端记录的审核结果作为免验证的依据；
+ * 用户的评论一旦被管理员标记为垃圾评论，即使复用原来的 accessToken 也需要重新验证
+ */
+async function isCaptchaRequired (comment) {
+  const { site, config } = getContext()
+  if (isAdmin()) return false
+  let mail
+  switch (config.CAPTCHA_REQUIRED) {
+    case 'anonymous':
+      if (!comment.mail) return true
+      mail = comment.mail
+      break
+    case 'first':
+      mail = null
+      break
+    default:
+      return true
+  }
+  const trust = await db.captchaTrustQuery.bind(getUid(), site, mail).first()
+  return !trust?.approved || !!trust.flagged
+}
+
+async function checkCaptcha (comment, request) {
+  const { config } = getContext()
+  const provider = getCaptchaProvider()
+  if (!provider || !await isCaptchaRequired(comment)) return
+  const captcha = CAPTCHA_PROVIDERS[provider]
+  if (!captcha) throw new Error(`不支持的验证码类型: ${provider}`)
+  if (!captcha.configured(config)) throw new Error(`${provider} 验证码配置不完整，请联系管理员`)
+  try {
+    await captcha.verify(config, comment, getIp(request))
+  } catch (e) {
+    throw new Error('验证码检测失败: ' + e.message)
+  }
+}
+
+// 调用验证码服务的 siteverify 接口，返回检测结果
+async function siteVerify (url, params) {
+  const formData = new FormData()
+  for (const [key, value] of Object.entries(params)) {
+    if (value) formData.append(key, value)
+  }
+  const resp = await fetch(url, {
+    method: 'POST',
+    body: formData
+  })
+  const data = await resp.json()
+  logger.log('验证码检测结果', data)
+  if (!data.success) throw new Error('验证码错误')
+  return data
+}
+
+function getPowDifficulty () {
+  const { config } = getContext()
+  const difficulty = parseInt(config.POW_DIFFICULTY)
+  return difficulty > 0 ? Math.min(difficulty, MAX_POW_DIFFICULTY) : DEFAULT_POW_DIFFICULTY
+}
+
+// 挑战签名覆盖站点，避免在其他站点使用
+async function signPowChallenge (payload) {
+  const { site } = getContext()
+  const signature = await crypto.subtle.sign(
+    'HMAC', await getHmacKey('CAPTCHA_SECRET'), new TextEncoder().encode(`${site}.${payload}`)
+  )
+  return toBase64Url(new Uint8Array(signature))
+}
+
+async function verifyPowChallenge (payload, signature) {
+  const { site } = getContext()
+  try {
+    return await crypto.subtle.verify(
+      'HMAC', await getHmacKey('CAPTCHA_SECRET'), fromBase64Url(signature), new TextEncoder().encode(`${site}.${payload}`)
+    )
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * 签发工作量证明挑战，格式：随机数.过期时间.难度.签名
+ * 前端需要找到 solution，使 SHA-256(`${challenge}:${solution}`) 的前 difficulty 位为 0，
+ * 并在提交评论时传入 powChallenge 和 powSolution
+ */
+async function captchaChallenge () {
+  if (getCaptchaProvider() !== 'PoW') throw new Error('未启用工作量证明验证码')
+  const nonce = toBase64Url(crypto.getRandomValues(new Uint8Array(16)))
+  const expires = Date.now() + POW_CHALLENGE_MILLIS
+  const difficulty = getPowDifficulty()
+  const payload = `${nonce}.${expires}.${difficulty}`
+  return {
+    code: RES_CODE.SUCCESS,
+    challenge: `${payload}.${await signPowChallenge(payload)}`,
+    difficulty,
+    expires
+  }
+}
+
+function countLeadingZeroBits (bytes) {
+  let count = 0
+  for (const byte of bytes) {
+    if (byte) return count + Math.clz32(byte) - 24
+    count += 8
+  }
+  return count
+}
+
+// 校验工作量证明，每个挑战只能使用一次
+async function checkPowCaptcha ({ powChallenge, powSolution }) {
+  if (typeof powChallenge !== 'string' || (typeof powSolution !== 'string' && typeof powSolution !== 'number')) {
+    throw new Error('缺少工作量证明')
+  }
+  const parts = powChallenge.split('.')
+  if (parts.length !== 4) throw new Error('挑战无效')
+  const [nonce, expires, difficulty, signature] = parts
+  if (!await verifyPowChallenge(`${nonce}.${expires}.${difficulty}`, signature)) throw new Error('挑战无效')
+  const now = Date.now()
+  if (Number(expires) <= now) throw new Error('挑战已过期，请重试')
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${powChallenge}:${powSolution}`))
+  if (countLeadingZeroBits(new Uint8Array(digest)) < Number(difficulty)) throw new Error('工作量证明错误')
+  const [, { results }] = await db.DB.batch([
+    db.captchaNoncePurgeStmt.bind(now),
+    db.captchaNonceUseStmt.bind(nonce, Number(expires))
+  ])
+  if (!results.length) throw new Error('挑战已使用，请重试')
+}
+
+async function saveSpamCheckResult (comment, isSpam) {
+  const changed = !!comment.isSpam !== !!isSpam
+  comment.isSpam = isSpam
+  await db.updateIsSpamStmt.bind(comment._id, isSpam, Date.now()).run()
+  if (changed) await triggerWebhooks(isSpam ? 'comment.spam' : 'comment.approved', [comment])
+}
+
+const DEFAULT_SPAM_SCORE_THRESHOLD = 0.8
+// 每类至少训练这么多条评论后才使用贝叶斯分类
+const SPAM_MIN_TRAINING = 10
+// 只使用偏离 0.5 最多的若干个词
+const SPAM_INTERESTING_TOKENS = 15
+const SPAM_MAX_TOKENS = 300
+// 各启发式规则命中时的垃圾概率，与贝叶斯分类结果合并
+const SPAM_HEURISTICS = {
+  links: 0.6,
+  duplicate: 0.7,
+  burst: 0.6
+}
+const SPAM_MAX_LINKS = 2
+const SPAM_BURST_MILLIS = 600000
+const SPAM_BURST_COUNT = 2
+// 重复内容只与最近 24 小时内的最新 200 条评论比较，按 idx_comment_site_created 读取，避免扫描整个评论表
+const SPAM_DUPLICATE_WINDOW = 200
+const SPAM_TRAIN_BATCH_SIZE = 100
+const CJK_REGEX = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/
+
+/**
+ * 评论的特征词：拉丁文单词、中日韩文字的相邻两字、链接域名
+ * 同一个词只计一次
+ */
+function getSpamTokens (comment) {
+  const tokens = new Set([''])
+  const html = comment.comment ?? ''
+  for (const host of getLinkHosts(comment)) tokens.add(`host:${host}`)
+  const text = `${comment.nick ?? ''} ${html.replace(/<[^>]*>/g, ' ').replace(/&\w+;/g, ' ')}`.toLowerCase()
+  for (const [word] of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (CJK_REGEX.test(word)) {
+      const chars = Array.from(word)
+      for (let i = 0; i < chars.length - 1; i++) tokens.add(chars[i] + chars[i + 1])
+    } else if (word.length > 1 && word.length <= 30) {
+      tokens.add(word)
+    }
+  }
+  // 空字符串记录训练的评论数
+  return [...tokens].slice(0, SPAM_MAX_TOKENS + 1)
+}
+
+// 评论内容中的链接及评论者网址的域名
+function getLinkHosts (comment) {
+  const urls = [...(comment.comment ?? '').matchAll(/href\s*=\s*["']?([^"'\s>]+)/gi)].map(([, url]) => url)
+  if (comment.link) urls.push(comment.link)
+  const hosts = new Set()
+  for (const url of urls) {
+    try {
+      const { hostname } = new URL(url)
+      if (hostname) hosts.add(hostname)
+    } catch {
+      // 忽略相对地址
+    }
+  }
+  return hosts
+}
+
+// 朴素贝叶斯分类，训练数据不足或没有已知的词时返回 null
+function getBayesScore (tokens, stats) {
+  const total = stats.get('')
+  if (!total || total.spam < SPAM_MIN_TRAINING || total.ham < SPAM_MIN_TRAINING) return null
+  const probabilities = []
+  for (const token of tokens) {
+    const stat = stats.get(token)
+    if (!token || !stat || !(stat.spam + stat.ham)) continue
+    const spamRate = stat.spam / total.spam
+    const probability = spamRate / (spamRate + stat.ham / total.ham)
+    // 出现次数少的词向 0.5 靠拢
+    const count = stat.spam + stat.ham
+    probabilities.push((0.5 + count * probability) / (1 + count))
+  }
+  if (!probabilities.length) return null
+  const interesting = probabilities
+    .sort((a, b) => Math.abs(b - 0.5) - Math.abs(a - 0.5))
+    .slice(0, SPAM_INTERESTING_TOKENS)
+  let logSpam = 0
+  let logHam = 0
+  for (const probability of interesting) {
+    logSpam += Math.log(probability)
+    logHam += Math.log(1 - probability)
+  }
+  return 1 / (1 + Math.exp(logHam - logSpam))
+}
+
+// 命中的启发式规则：链接过多、近期有相同内容、新用户短时间内连续评论
+async function getSpamHeuristics (comment) {
+  const { site } = getContext()
+  const now = Date.now()
+  const [duplicates, activity] = await Promise.all([
+    db.duplicateCommentCountQuery.bind(site, now - DAY_MILLIS, comment.comment, SPAM_DUPLICATE_WINDOW).first('count'),
+    db.uidActivityQuery.bind(comment.uid, now - SPAM_BURST_MILLIS, site).first()
+  ])
+  const links = (comment.comment.match(/<a\s[^>]*href/gi) ?? []).length
+  const isNewUid = !activity?.first || activity.first > now - DAY_MILLIS
+  const rules = []
+  if (links > SPAM_MAX_LINKS) rules.push('links')
+  if (duplicates) rules.push('duplicate')
+  if (isNewUid && activity?.recent >= SPAM_BURST_COUNT) rules.push('burst')
+  return rules
+}
+
+/**
+ * 本地垃圾评论分类，配置 SPAM_CLASSIFIER 后启用
+ * 得分达到 SPAM_SCORE_THRESHOLD 的评论标记为垃圾评论，等待审核
+ */
+async function classifySpam (comment) {
+  const { site, config } = getContext()
+  if (config.SPAM_CLASSIFIER !== 'true' || isAdmin()) return
+  const tokens = getSpamTokens(comment)
+  const [{ results }, rules] = await Promise.all([
+    db.spamTokenQuery.bind(site, JSON.stringify(tokens)).all(),
+    getSpamHeuristics(comment)
+  ])
+  const bayes = getBayesScore(tokens, new Map(results.map((row) => [row.token, row])))
+  let score = bayes ?? 0
+  for (const rule of rules) score = 1 - (1 - score) * (1 - SPAM_HEURISTICS[rule])
+  comment.spamScore = Math.round(score * 10000) / 10000
+  let threshold = parseFloat(config.SPAM_SCORE_THRESHOLD)
+  if (!(threshold > 0)) threshold = DEFAULT_SPAM_SCORE_THRESHOLD
+  logger.info('垃圾评论分类：', { bayes, rules, score: comment.spamScore })
+  if (comment.spamScore >= threshold) comment.isSpam = true
+}
+
+// 管理员修改评论状态时训练分类器，此前按相反结果训练过的评论先撤销原来的训练
+function getSpamTrainStmts (comment, isSpam) {
+  const { site } = getContext()
+  const label = isSpam ? 1 : 0
+  const previous = comment.spamLabel ?? null
+  if (previous === label) return []
+  return [
+    db.spamTrainStmt.bind(
+      site, label - (previous === 1 ? 1 : 0), (1 - label) - (previous === 0 ? 1 : 0),
+      JSON.stringify(getSpamTokens(comment))
+    ),
+    db.spamLabelStmt.bind(comment._id, label)
+  ]
+}
+
+/**
+ * 获取文章点击量
+ * 爬虫和去重窗口内的重复访问只读取点击量，不计数
+ * @param {String} event.url 文章地址
+ */
+async function counterGet (event, request) {
+  const { site } = getContext()
+  const res = {}
+  try {
+    validate(event, ['url'])
+    const url = normalizeUrl(event.url)
+    if (await isCountedView(event, request, url)) {
+      const now = Date.now()
+      await db.DB.batch([
+        db.incCounterStmt.bind(url, event.title, now, site),
+        db.incCounterDailyStmt.bind(site, url, toDay(now))
+      ])
+    }
+    res.time = await db.counterQuery.bind(url, site).first('time') ?? 0
+  } catch (e) {
+    res.message = e.message
+    return res
+  }
+  return res
+}
+
+// 常见爬虫、预览和监控工具的 User-Agent
+const BOT_UA_REGEX = /bot|crawl|spider|slurp|archiver|headless|lighthouse|preview|monitor|uptime|pingdom|curl|wget|python|java\/|go-http|okhttp|axios|node-fetch/i
+// Cloudflare 机器人评分低于此值时视为爬虫，评分范围 1～99，越低越可能是自动程序
+const DEFAULT_COUNTER_BOT_SCORE = 30
+
+// 是否计入访问量：开启 COUNTER_IGNORE_BOTS 时过滤爬虫，配置 COUNTER_DEDUP_MINUTES 时同一访客在窗口内只计一次
+async function isCountedView (event, request, url) {
+  const { site, config } = getContext()
+  if (config.COUNTER_IGNORE_BOTS === 'true' && isBotRequest(request)) return false
+  const minutes = parseFloat(config.COUNTER_DEDUP_MINUTES)
+  if (!(minutes > 0)) return true
+  const now = Date.now()
+  const [, { results }] = await db.DB.batch([
+    db.counterVisitorPurgeStmt.bind(now),
+    db.counterVisitStmt.bind(site, url, await getVisitorId(event, request), now + minutes * 60000)
+  ])
+  return results.length > 0
+}
+
+// 根据 User-Agent，以及开启 Bot Management 后 request.cf 中的机器人评分识别爬虫
+function isBotRequest (request) {
+  const { config } = getContext()
+  const ua = request.headers.get('User-Agent') ?? ''
+  if (!ua || BOT_UA_REGEX.test(ua)) return true
+  const botManagement = request.cf?.botManagement
+  if (!botManagement) return false
+  if (botManagement.verifiedBot) return true
+  let minScore = parseInt(config.COUNTER_BOT_SCORE)
+  if (Number.isNaN(minScore)) minScore = DEFAULT_COUNTER_BOT_SCORE
+  return typeof botManagement.score === 'number' && botManagement.score < minScore
+}
+
+// 访客标识只保存哈希：COUNTER_DEDUP_BY 为 uid 且请求带有 accessToken 时使用用户 ID，否则使用 IP 与 User-Agent
+async function getVisitorId (event, request) {
+  const { config } = getContext()
+  const visitor = config.COUNTER_DEDUP_BY === 'uid' && event.accessToken
+    ? `uid:${getUid()}`
+    : `ip:${getIp(request) ?? ''}:${request.headers.get('User-Agent') ?? ''}`
+  return sha256Hex(new TextEncoder().encode(visitor))
+}
+
+// 按 UTC 日期统计，格式为 2024-01-02
+function toDay (time) {
+  return new Date(time).toISOString().slice(0, 10)
+}
+
+function parseDay (day, name) {
+  if (typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day)) day = `${day}T00:00:00Z`
+  return toDay(parseFilterTime(day, name))
+}
+
+// 默认读取最近 30 天，最多 366 天
+const DEFAULT_COUNTER_DAILY_DAYS = 30
+const MAX_COUNTER_DAILY_DAYS = 366
+
+/**
+ * 管理员读取各页面的每日访问量，按期间访问量从高到低排序
+ * @param {String} event.from 开始日期（UTC），如 2024-01-01
+ * @param {String} event.to 结束日期（UTC，包含），默认为今天
+ * @param {String} event.url 只读取此页面
+ */
+async function counterDailyGetForAdmin (event) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const to = event.to ? parseDay(event.to, 'to') : toDay(Date.now())
+    const from = event.from
+      ? parseDay(event.from, 'from')
+      : toDay(Date.parse(to) - (DEFAULT_COUNTER_DAILY_DAYS - 1) * DAY_MILLIS)
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MILLIS + 1
+    if (days < 1 || days > MAX_COUNTER_DAILY_DAYS) {
+      throw new Error(`日期范围须在 1～${MAX_COUNTER_DAILY_DAYS} 天之间`)
+    }
+    const { results } = await db.counterDailyQuery
+      .bind(site, from, to, event.url ? normalizeUrl(event.url) : '')
+      .all()
+    const pages = new Map()
+    for (const { url, title, day, views } of results) {
+      if (!pages.has(url)) pages.set(url, { url, title: title ?? '', views: 0, days: {} })
+      const page = pages.get(url)
+      page.views += views
+      page.days[day] = views
+    }
+    res.from = from
+    res.to = to
+    res.data = [...pages.values()].sort((a, b) => b.views - a.views)
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+/**
+ * 批量获取文章评论数 API
+ * @param {Array} event.urls 不包含协议和域名的文章路径列表，必传参数
+ * @param {Boolean} event.includeReply 评论数是否包括回复，默认：false
+ */
+async function getCommentsCount (event) {
+  const { site } = getContext()
+  const res = {}
+  try {
+    validate(event, ['urls'])
+    res.data = await Promise.all(event.urls.map(
+      async (url) => ({
+        url,
+        count: await db.commentCountByUrlQuery
+          .bind(normalizeUrl(url), !!event.includeReply, site)
+          .first('count'),
+      })))
+  } catch (e) {
+    res.message = e.message
+    return res
+  }
+  return res
+}
+
+/**
+ * 获取最新评论 API
+ * @param {Boolean} event.includeReply 评论数是否包括回复，默认：false
+ */
+async function getRecentComments (event) {
+  const { site, config } = getContext()
+  const res = {}
+  try {
+    if (event.pageSize > 100) event.pageSize = 100
+    let result
+    if (!event.urls || !event.urls.length) {
+      result = (await db.recentCommentsByUrlQuery.bind(
+        1, '', !!event.includeReply, event.pageSize || 10, site
+      ).all()).results
+    } else {
+      result = (await Promise.all(event.urls.map(
+        async (url) => (await db.recentCommentsByUrlQuery.bind(
+          0, normalizeUrl(url), !!event.includeReply, event.pageSize || 10, site
+        ).all()).results
+      ))).flat()
+    }
+    res.data = result.map((comment) => {
+      return {
+        id: comment._id.toString(),
+        url: comment.url,
+        nick: comment.nick,
+        avatar: getAvatar(comment, config),
+        mailMd5: getMailMd5(comment),
+        link: comment.link,
+        comment: comment.comment,
+        commentText: $(comment.comment).text(),
+        created: comment.created
+      }
+    })
+  } catch (e) {
+    res.message = e.message
+    return res
+  }
+  return res
+}
+
+// 评论订阅源，路径后可加 ?url=页面地址 只输出该页面的评论
+const FEED_FORMATS = {
+  '/feed/atom': { type: 'application/atom+xml', render: renderAtomFeed },
+  '/feed/rss': { type: 'application/rss+xml', render: renderRssFeed }
 }
+const DEFAULT_FEED_SIZE = 20
+const FEED_SUMMARY_LENGTH = 200
 
-// 管理员登录
-async function login (password) {
-  if (!config) {
-    return { code: RES_CODE.CONFIG_NOT_EXIST, message: '数据库无配置' }
-  }
-  if (!config.ADMIN_PASS) {
-    return { code: RES_CODE.PASS_NOT_EXIST, message: '未配置管理密码' }
-  }
-  if (config.ADMIN_PASS !== md5(password)) {
-    return { code: RES_CODE.PASS_NOT_MATCH, message: '密码错误' }
+// 输出全站或单个页面最新评论的订阅源，需在配置中开启 FEED_SITE、FEED_PAGE
+async function feedServe (request, env, format) {
+  try {
+    await autoMigrate(env)
+    await switchSite(await resolveSite(request, {}))
+    const { site, config } = getContext()
+    const url = normalizeUrl(new URL(request.url).searchParams.get('url') ?? '')
+    if (config[url ? 'FEED_PAGE' : 'FEED_SITE'] !== 'true') {
+      return new Response('Not Found', { status: 404 })
+    }
+    let size = parseInt(config.FEED_SIZE)
+    if (!(size > 0)) size = DEFAULT_FEED_SIZE
+    // 与 GET_RECENT_COMMENTS 相同，不输出垃圾评论
+    const { results: comments } = await db.recentCommentsByUrlQuery.bind(url ? 0 : 1, url, 1, Math.min(size, 100), site).all()
+
+    const updated = comments.reduce((max, comment) => Math.max(max, comment.updated), 0)
+    const etag = `W/"${await sha256Hex(new TextEncoder().encode(
+      JSON.stringify([url, comments.map((comment) => [comment._id, comment.updated])])
+    ))}"`
+    const headers = {
+      'content-type': `${format.type};charset=UTF-8`,
+      'cache-control': 'public, max-age=300',
+      'etag': etag,
+      'last-modified': new Date(updated || 0).toUTCString()
+    }
+    if (isNotModified(request, etag, updated)) {
+      return new Response(null, { status: 304, headers })
+    }
+
+    const siteUrl = (config.SITE_URL ?? '').replace(/\/$/, '')
+    const pageTitle = url ? await db.counterTitleQuery.bind(url, site).first('title') || url : ''
+    const feed = {
+      title: url ? `${pageTitle} - ${config.SITE_NAME ?? ''} 的评论` : `${config.SITE_NAME ?? ''} 的最新评论`,
+      link: siteUrl + url,
+      self: request.url,
+      updated,
+      items: comments.map((comment) => {
+        const text = $.load(comment.comment).text().replace(/\s+/g, ' ').trim()
+        return {
+          id: comment._id,
+          title: `${comment.nick}：${truncate(text, 50)}`,
+          author: comment.nick,
+          link: appendHashToUrl(comment.href || siteUrl + comment.url, comment._id),
+          summary: truncate(text, FEED_SUMMARY_LENGTH),
+          created: comment.created,
+          updated: comment.updated
+        }
+      })
+    }
+    return new Response(format.render(feed), { headers })
+  } catch (e) {
+    if (e instanceof SiteNotFoundError) return new Response('Not Found', { status: 404 })
+    logger.error('生成订阅源失败：', e)
+    return new Response('Internal Server Error', { status: 500 })
   }
-  return {
-    code: RES_CODE.SUCCESS
+}
+
+function isNotModified (request, etag, updated) {
+  const ifNoneMatch = request.headers.get('If-None-Match')
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((tag) => tag.trim() === etag || tag.trim() === '*')
   }
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') ?? '')
+  // HTTP 日期只精确到秒
+  return !Number.isNaN(ifModifiedSince) && Math.floor(updated / 1000) * 1000 <= ifModifiedSince
 }
 
-// timestamp(2100/1/1) * 10
-const MAX_TIMESTAMP_MILLIS = 41025312000000
-const MAX_QUERY_LIMIT = 500
+function truncate (text, length) {
+  const chars = Array.from(text)
+  return chars.length > length ? chars.slice(0, length).join('') + '…' : text
+}
 
-function parseLike (comment) {
-  comment.like = JSON.parse(comment.like)
-  return comment
+function escapeXml (text) {
+  return String(text ?? '').replace(/[<>&'"]/g, (char) => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  })[char])
 }
 
-// 读取评论
-async function commentGet (event) {
-  const res = {}
-  try {
-    validate(event, ['url'])
-    const uid = getUid()
-    const isAdminUser = isAdmin()
-    const limit = parseInt(config.COMMENT_PAGE_SIZE) || 8
-    let more = false
-    const count = await db.commentCountQuery
-      .bind(event.url, isAdminUser ? 2 : 1, uid)
-      .first('count')
-    // 读取主楼
-    // 不包含置顶
-    let { results: main } = await db.commentQuery
-      .bind(
-        event.url, isAdminUser ? 2 : 1, uid,
-        event.before ?? MAX_TIMESTAMP_MILLIS, 0,
-        // 流式分页，通过多读 1 条的方式，确认是否还有更多评论
-        limit + 1
-      ).all()
+function renderAtomFeed (feed) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <link href="${escapeXml(feed.link)}"/>
+  <link rel="self" href="${escapeXml(feed.self)}"/>
+  <id>${escapeXml(feed.self)}</id>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <generator version="${VERSION}">Twikoo</generator>
+${feed.items.map((item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <id>urn:twikoo:comment:${escapeXml(item.id)}</id>
+    <author><name>${escapeXml(item.author)}</name></author>
+    <published>${new Date(item.created).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+  </entry>
+`).join('')}</feed>
+`
+}
+
+function renderRssFeed (feed) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.title)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.self)}"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <generator>Twikoo ${VERSION}</generator>
+${feed.items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <pubDate>${new Date(item.created).toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+    </item>
+`).join('')}  </channel>
+</rss>
+`
+}
 
-    if (main.length > limit) {
-      // 还有更多评论
-      more = true
-      // 删除多读的 1 条
-      main.splice(limit, 1)
+// 修改配置
+async function setConfig (event, request) {
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const context = getContext()
+    const before = context.config
+    await writeConfig(withSigningSecrets(withWebhookSecret(event.config, before), before))
+    const { config } = context
+    const changed = Object.keys(event.config ?? {}).filter((key) => before[key] !== config[key])
+    if (changed.length) {
+      await audit(
+        request, 'SET_CONFIG', changed,
+        maskConfig(Object.fromEntries(changed.map((key) => [key, before[key]]))),
+        maskConfig(Object.fromEntries(changed.map((key) => [key, config[key]])))
+      )
+    }
+    return {
+      code: RES_CODE.SUCCESS
+    }
+  } else {
+    return {
+      code: RES_CODE.NEED_LOGIN,
+      message: '请先登录'
     }
-    let top = []
-    if (!config.TOP_DISABLED && !event.before) {
-      // 查询置顶评论
-      top = (await db.commentQuery
-        .bind(
-          event.url, isAdminUser ? 2 : 1, uid, MAX_TIMESTAMP_MILLIS, 1,
-          MAX_QUERY_LIMIT
-        ).all()).results
-      // 合并置顶评论和非置顶评论
-      main = [
-        ...top,
-        ...main
-      ]
-    }
-    // 读取回复楼
-    const { results: reply } = await db.getReplyQuery(main.length)
-      .bind(
-        event.url, isAdminUser ? 2 : 1, uid, ...main.map((item) => item._id)
-      ).all()
-    res.data = parseComment([...main, ...reply].map(parseLike), uid, config)
-    res.more = more
-    res.count = count
-  } catch (e) {
-    res.data = []
-    res.message = e.message
   }
-  return res
 }
 
-// 管理员读取评论
-async function commentGetForAdmin (event) {
+const DEFAULT_AUDIT_LOG_RETENTION_DAYS = 180
+// 日志中隐藏密码、密钥等敏感配置
+const SECRET_CONFIG_REGEX = /PASS|SECRET|TOKEN|KEY|CREDENTIALS/
+
+function maskConfig (values) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+    key,
+    SECRET_CONFIG_REGEX.test(key) && value ? '******' : value ?? null
+  ]))
+}
+
+/**
+ * 生成记录管理员操作的语句，以便与操作本身在同一个 batch 中执行
+ * @param {String} action 操作，与事件名称相同
+ * @param {Array} target 操作对象的 ID
+ * @param {Object} before 修改前的值
+ * @param {Object} after 修改后的值
+ */
+function getAuditStmts (request, action, target, before, after) {
+  const { site, config, adminSession } = getContext()
+  const now = Date.now()
+  const stmts = [db.saveAuditLogStmt.bind(
+    action, JSON.stringify(target), JSON.stringify(before ?? null), JSON.stringify(after ?? null),
+    adminSession?.id ?? '', getIp(request) ?? '', now, site
+  )]
+  // 清理超过保留天数的日志，0 表示永久保留
+  let retentionDays = parseFloat(config.AUDIT_LOG_RETENTION_DAYS)
+  if (Number.isNaN(retentionDays)) retentionDays = DEFAULT_AUDIT_LOG_RETENTION_DAYS
+  if (retentionDays > 0) stmts.push(db.auditLogPurgeStmt.bind(now - retentionDays * 86400000, site))
+  return stmts
+}
+
+async function audit (request, action, target, before, after) {
+  await db.DB.batch(getAuditStmts(request, action, target, before, after))
+}
+
+/**
+ * 管理员读取操作日志
+ * @param {String} event.action 只读取指定操作的日志
+ */
+async function auditLogGetForAdmin (event) {
+  const { site } = getContext()
   const res = {}
   const isAdminUser = isAdmin()
   if (isAdminUser) {
     validate(event, ['per', 'page'])
-    const count = await db.commentForAdminCountQuery
-      .bind(
-        event.type === 'VISIBLE' ? 1 :
-        event.type === 'HIDDEN' ? 0 :
-        2,
-        `%${event.keyword ?? ''}%`
-      ).first('count')
-    const { results: data } = await db.commentForAdminQuery.bind(
-      event.type === 'VISIBLE' ? 1 :
-      event.type === 'HIDDEN' ? 0 :
-      2,
-      `%${event.keyword ?? ''}%`,
-      event.per,
-      event.per * (event.page - 1)
-    ).all()
+    const action = event.action ?? ''
+    res.count = await db.auditLogCountQuery.bind(action, site).first('count')
+    const { results } = await db.auditLogQuery.bind(action, event.per, event.per * (event.page - 1), site).all()
+    res.data = results.map((log) => ({
+      ...log,
+      target: JSON.parse(log.target),
+      before: JSON.parse(log.before),
+      after: JSON.parse(log.after)
+    }))
     res.code = RES_CODE.SUCCESS
-    res.count = count
-    res.data = data
   } else {
     res.code = RES_CODE.NEED_LOGIN
     res.message = '请先登录'
@@ -609,16 +4849,326 @@ async function commentGetForAdmin (event) {
   return res
 }
 
-// 管理员修改评论
-async function commentSetForAdmin (event) {
+// 各事件对应的限流分组，未列出的事件使用 default 分组
+const RATE_LIMIT_GROUPS = {
+  COMMENT_SUBMIT: 'submit',
+  COMMENT_UPDATE: 'submit',
+  COMMENT_LIKE: 'like',
+  COMMENT_REACT: 'like',
+  COUNTER_GET: 'counter',
+  LOGIN: 'login',
+  GET_PASSWORD_STATUS: 'login',
+  SET_PASSWORD: 'login',
+  UPLOAD_IMAGE: 'upload',
+  CAPTCHA_CHALLENGE: 'write',
+  COMMENT_DELETE: 'write',
+  COMMENT_DELETE_FOR_USER: 'write',
+  COMMENT_SUBSCRIBE: 'write',
+  COMMENT_UNSUBSCRIBE: 'write'
+}
+const DEFAULT_LOGIN_MAX_FAILURES = 5
+const DEFAULT_LOGIN_LOCK_MINUTES = 15
+
+class TooManyRequestsError extends Error {
+  constructor (message, retryAfter) {
+    super(message)
+    this.retryAfter = retryAfter
+  }
+}
+
+class BannedError extends Error {
+  constructor (message, ban) {
+    super(message)
+    this.ban = ban
+  }
+}
+
+// 限流规则格式：范围:次数/秒，多条以逗号分隔，范围可以是 ip、uid 或 all（全局）
+function parseRateLimitRules (text) {
+  return String(text)
+    .split(',')
+    .map((rule) => rule.trim())
+    .filter((rule) => rule)
+    .map((rule) => {
+      const match = rule.match(/^(ip|uid|all)\s*:\s*(\d+)\s*\/\s*(\d+)$/i)
+      if (!match) {
+        logger.warn('无法识别的限流规则：', rule)
+        return null
+      }
+      return { scope: match[1].toLowerCase(), limit: parseInt(match[2]), seconds: parseInt(match[3]) }
+    })
+    .filter((rule) => rule && rule.limit && rule.seconds)
+}
+
+function getDefaultRateLimitRules (group) {
+  const { config } = getContext()
+  switch (group) {
+    case 'submit': {
+      // 兼容原有配置：限制每个 IP 及所有 IP 每 10 分钟发表的评论数量
+      let limitPerMinute = parseInt(config.LIMIT_PER_MINUTE)
+      if (Number.isNaN(limitPerMinute)) limitPerMinute = 10
+      let limitPerMinuteAll = parseInt(config.LIMIT_PER_MINUTE_ALL)
+      if (Number.isNaN(limitPerMinuteAll)) limitPerMinuteAll = 10
+      return `ip:${limitPerMinute}/600,all:${limitPerMinuteAll}/600`
+    }
+    case 'like':
+      return 'ip:30/60'
+    case 'login':
+    case 'upload':
+      return 'ip:10/600'
+    case 'write':
+      return 'ip:30/600'
+    default:
+      // 每条规则每次请求都要写入数据库，浏览量和读取评论等只读请求默认不限流，需要时再配置
+      return ''
+  }
+}
+
+// 可通过 RATE_LIMIT_SUBMIT、RATE_LIMIT_LIKE、RATE_LIMIT_COUNTER、RATE_LIMIT_LOGIN、RATE_LIMIT_UPLOAD、RATE_LIMIT_WRITE、RATE_LIMIT_DEFAULT 覆盖默认规则
+function getRateLimitRules (group) {
+  const { config } = getContext()
+  const configured = config[`RATE_LIMIT_${group.toUpperCase()}`]
+  return parseRateLimitRules(configured ?? getDefaultRateLimitRules(group))
+}
+
+// 各站点分别计数，一个站点的流量不影响其他站点
+function getRateLimitKey (group, scope, value, seconds) {
+  const { site } = getContext()
+  return `${site}:${group}:${scope}:${value ?? ''}:${seconds}`
+}
+
+/**
+ * 滑动窗口计数：以上一个固定窗口的计数按剩余比例加权，加上当前窗口的计数
+ * @returns {Number} 需要等待的秒数，0 表示未超限
+ */
+function getRetryAfter ({ limit, seconds }, prev, curr, elapsed) {
+  const windowMillis = seconds * 1000
+  const estimate = prev * (1 - elapsed / windowMillis) + curr
+  if (estimate <= limit) return 0
+  const wait = curr <= limit
+    // 当前窗口内，等待上一窗口的权重衰减
+    ? windowMillis * (1 - (limit - curr) / prev) - elapsed
+    // 等到下一个窗口，当前窗口的计数衰减
+    : windowMillis - elapsed + windowMillis * (1 - limit / curr)
+  return Math.max(1, Math.ceil(wait / 1000))
+}
+
+function getRateLimitSlot ({ seconds }, now) {
+  const windowMillis = seconds * 1000
+  const slot = Math.floor(now / windowMillis)
+  return { slot, elapsed: now - slot * windowMillis, expires: (slot + 2) * windowMillis }
+}
+
+/**
+ * 记录一次请求，并返回超限的规则
+ * @param {Array} limits 限流规则及计数键 [{ key, rule }]
+ */
+async function hitRateLimits (limits) {
+  if (!limits.length) return null
+  const now = Date.now()
+  const slots = limits.map(({ rule }) => getRateLimitSlot(rule, now))
+  const results = await db.DB.batch([
+    db.rateLimitPurgeStmt.bind(now),
+    ...limits.flatMap(({ key }, i) => [
+      db.rateLimitHitStmt.bind(key, slots[i].slot, slots[i].expires),
+      db.rateLimitQuery.bind(key, slots[i].slot - 1)
+    ])
+  ])
+  let exceeded = null
+  limits.forEach((limit, i) => {
+    const curr = results[1 + i * 2].results[0]?.count ?? 1
+    const prev = results[2 + i * 2].results[0]?.count ?? 0
+    const retryAfter = getRetryAfter(limit.rule, prev, curr, slots[i].elapsed)
+    if (retryAfter && (!exceeded || retryAfter > exceeded.retryAfter)) {
+      exceeded = { ...limit, retryAfter }
+    }
+  })
+  return exceeded
+}
+
+// 查询是否超限，不计数
+async function peekRateLimit (key, rule) {
+  const { slot, elapsed } = getRateLimitSlot(rule, Date.now())
+  const [curr, prev] = await db.DB.batch([
+    db.rateLimitQuery.bind(key, slot),
+    db.rateLimitQuery.bind(key, slot - 1)
+  ])
+  // 计入本次请求
+  return getRetryAfter(rule, prev.results[0]?.count ?? 0, (curr.results[0]?.count ?? 0) + 1, elapsed)
+}
+
+// 登录失败次数过多时锁定
+function getLoginLockout (request) {
+  const { config } = getContext()
+  let maxFailures = parseInt(config.LOGIN_MAX_FAILURES)
+  if (Number.isNaN(maxFailures)) maxFailures = DEFAULT_LOGIN_MAX_FAILURES
+  let lockMinutes = parseInt(config.LOGIN_LOCK_MINUTES)
+  if (Number.isNaN(lockMinutes) || lockMinutes <= 0) lockMinutes = DEFAULT_LOGIN_LOCK_MINUTES
+  const rule = { scope: 'ip', limit: maxFailures, seconds: lockMinutes * 60 }
+  return { key: getRateLimitKey('login_failure', 'ip', getIp(request), rule.seconds), rule }
+}
+
+// 分组的限流规则及计数键
+function getRateLimits (group, request) {
+  return getRateLimitRules(group).map((rule) => ({
+    key: getRateLimitKey(group, rule.scope, rule.scope === 'ip' ? getIp(request) : rule.scope === 'uid' ? getUid() : '', rule.seconds),
+    rule
+  }))
+}
+
+// 限流
+async function protect (event, request) {
+  // 管理员不限流
+  if (isAdmin()) return
+  // 登录不受封禁影响，避免管理员误封自己后无法解除
+  if (event.event !== 'LOGIN') await checkBan({ ip: getIp(request), uid: getUid() })
+  const group = RATE_LIMIT_GROUPS[event.event] ?? 'default'
+  const exceeded = await hitRateLimits(getRateLimits(group, request))
+  if (exceeded) {
+    logger.warn(`${getIp(request)} 请求过于频繁（${exceeded.key}），${exceeded.retryAfter} 秒后可重试`)
+    if (group === 'submit') {
+      throw new TooManyRequestsError(exceeded.rule.scope === 'all' ? '评论太火爆啦 >_< 请稍后再试' : '发言频率过高', exceeded.retryAfter)
+    }
+    throw new TooManyRequestsError('Too Many Requests', exceeded.retryAfter)
+  }
+}
+
+const BAN_TYPES = ['ip', 'uid', 'mail', 'link', 'keyword']
+// 评论者封禁默认包含的类型
+const DEFAULT_COMMENT_BAN_TYPES = ['ip', 'uid', 'mail']
+
+function parseIpv4 (text) {
+  const parts = text.split('.')
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null
+  return parts.map((part) => Number(part).toString(16).padStart(2, '0')).join('')
+}
+
+// 将 IP 转为 32 位十六进制字符串，IPv4 按 IPv4 映射地址（::ffff:a.b.c.d）处理
+function ipToHex (ip) {
+  const text = String(ip ?? '').trim().toLowerCase()
+  if (!text.includes(':')) {
+    const ipv4 = parseIpv4(text)
+    return ipv4 && `00000000000000000000ffff${ipv4}`
+  }
+  let address = text
+  // IPv6 地址末尾可以是 IPv4 地址
+  const tail = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/)
+  if (tail) {
+    const ipv4 = parseIpv4(tail[2])
+    if (!ipv4) return null
+    address = `${tail[1]}${ipv4.slice(0, 4)}:${ipv4.slice(4)}`
+  }
+  const halves = address.split('::')
+  if (halves.length > 2) return null
+  const head = halves[0] ? halves[0].split(':') : []
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : []
+  const missing = 8 - head.length - rest.length
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null
+  const groups = [...head, ...Array(missing).fill('0'), ...rest]
+  if (groups.some((group) => !/^[0-9a-f]{1,4}$/.test(group))) return null
+  return groups.map((group) => group.padStart(4, '0')).join('')
+}
+
+// 解析 IP 或 CIDR，返回地址范围的起止，格式不正确时返回 null
+function getIpRange (value) {
+  const [address, prefixText, ...extra] = value.split('/')
+  const hex = ipToHex(address)
+  if (!hex || extra.length) return null
+  const maxPrefix = address.includes(':') ? 128 : 32
+  if (prefixText !== undefined && !(/^\d{1,3}$/.test(prefixText) && Number(prefixText) <= maxPrefix)) return null
+  const prefix = (prefixText === undefined ? maxPrefix : Number(prefixText)) + 128 - maxPrefix
+  const mask = (1n << BigInt(128 - prefix)) - 1n
+  const start = BigInt(`0x${hex}`) & ~mask
+  return [start, start | mask].map((number) => number.toString(16).padStart(32, '0'))
+}
+
+// 域名及其各级上级域名，封禁域名时同时封禁子域名
+function getDomainChain (domain) {
+  const labels = domain.split('.')
+  return labels.map((label, i) => labels.slice(i).join('.'))
+}
+
+/**
+ * 规范化封禁规则
+ * ip：IP 或 CIDR；uid：用户 ID；mail：邮箱或域名；link：链接域名；keyword：昵称、邮箱、网址或内容包含的关键词
+ */
+function parseBan (type, value) {
+  if (!BAN_TYPES.includes(type)) throw new Error('参数"type"不合法')
+  let text = String(value ?? '').trim()
+  // 用户 ID 区分大小写
+  if (type !== 'uid') text = text.toLowerCase()
+  let range = ['', '']
+  if (type === 'ip') {
+    range = getIpRange(text)
+    if (!range) throw new Error('参数"value"不是有效的 IP 或 CIDR')
+  } else if (type === 'mail') {
+    text = text.startsWith('@') ? text.slice(1) : normalizeMail(text)
+  } else if (type === 'link' && text.includes('/')) {
+    try {
+      text = new URL(text).hostname
+    } catch {
+      throw new Error('参数"value"不是有效的网址或域名')
+    }
+  }
+  if (!text) throw new Error('参数"value"不合法')
+  return { type, value: text, range }
+}
+
+/**
+ * 检查 IP、用户 ID、邮箱、网址及评论内容是否命中封禁规则，命中时抛出 BannedError
+ * @param {Object} target { ip, uid, mail, link, nick, comment }，只检查传入的字段
+ */
+async function checkBan (target) {
+  const { site } = getContext()
+  if (isAdmin()) return
+  const mail = target.mail ? normalizeMail(target.mail) : ''
+  const mails = mail ? [mail, ...getDomainChain(mail.split('@').pop())] : []
+  const links = [...getLinkHosts(target)].flatMap(getDomainChain)
+  const hasText = target.comment !== undefined
+  const { results } = await db.banMatchQuery.bind(
+    site, Date.now(), ipToHex(target.ip) ?? '', target.uid ?? '',
+    JSON.stringify(mails), JSON.stringify(links), hasText
+  ).all()
+  const text = hasText
+    ? [target.nick, target.mail, target.link, target.comment].join(' ').toLowerCase()
+    : ''
+  const ban = results.find((rule) => rule.type !== 'keyword' || text.includes(rule.value))
+  if (ban) {
+    throw new BannedError(hasText ? '您已被禁止发表评论' : '您已被禁止访问', ban)
+  }
+}
+
+function saveBanStmt (ban, reason, expires, now) {
+  const { site } = getContext()
+  return db.saveBanStmt.bind(
+    site, ban.type, ban.value, ...ban.range, String(reason ?? ''), expires, now
+  )
+}
+
+function getBanExpires (event) {
+  return event.expires ? parseFilterTime(event.expires, 'expires') : 0
+}
+
+/**
+ * 管理员添加封禁规则，规则已存在时更新原因和过期时间
+ * @param {String} event.type ip、uid、mail、link 或 keyword
+ * @param {String} event.value 封禁的值，IP 可以是 CIDR，邮箱和链接可以是域名（包括子域名）
+ * @param {String} event.reason 封禁原因
+ * @param {Number|String} event.expires 过期时间，不传时永久有效
+ */
+async function banAddForAdmin (event, request) {
   const res = {}
   const isAdminUser = isAdmin()
   if (isAdminUser) {
-    validate(event, ['id', 'set'])
-    const fields = Object.keys(event.set).sort()
-    await db.getCommentSetStmt(fields).bind(
-      ...fields.map(field => event.set[field]), event.id,
-    ).run()
+    validate(event, ['type', 'value'])
+    const ban = parseBan(event.type, event.value)
+    const [{ results }] = await db.DB.batch([
+      saveBanStmt(ban, event.reason, getBanExpires(event), Date.now()),
+      ...getAuditStmts(request, 'BAN_ADD_FOR_ADMIN', [`${ban.type}:${ban.value}`], null, {
+        reason: event.reason ?? '', expires: event.expires ?? 0
+      })
+    ])
+    res.data = results[0]
     res.code = RES_CODE.SUCCESS
   } else {
     res.code = RES_CODE.NEED_LOGIN
@@ -627,13 +5177,38 @@ async function commentSetForAdmin (event) {
   return res
 }
 
-// 管理员删除评论
-async function commentDeleteForAdmin (event) {
+/**
+ * 管理员封禁评论者，按评论的 IP、用户 ID、邮箱等添加封禁规则
+ * @param {String} event.id 评论 ID
+ * @param {Array} event.types 封禁类型，默认为 ip、uid、mail，可包含 link
+ */
+async function banCommentForAdmin (event, request) {
   const res = {}
   const isAdminUser = isAdmin()
   if (isAdminUser) {
     validate(event, ['id'])
-    await db.commentDeleteStmt.bind(event.id).run()
+    const comment = await getSiteComment(event.id)
+    if (!comment) throw new Error('评论不存在')
+    const types = event.types ?? DEFAULT_COMMENT_BAN_TYPES
+    if (!Array.isArray(types) || types.some((type) => type === 'keyword' || !BAN_TYPES.includes(type))) {
+      throw new Error('参数"types"不合法')
+    }
+    const values = {
+      ip: comment.ip ? [comment.ip] : [],
+      uid: comment.uid ? [comment.uid] : [],
+      mail: comment.mail ? [comment.mail] : [],
+      link: [...getLinkHosts({ link: comment.link })]
+    }
+    const bans = types.flatMap((type) => values[type].map((value) => parseBan(type, value)))
+    if (!bans.length) throw new Error('评论没有可以封禁的信息')
+    const now = Date.now()
+    const expires = getBanExpires(event)
+    const reason = event.reason ?? `评论 ${comment._id}`
+    const results = await db.DB.batch([
+      ...bans.map((ban) => saveBanStmt(ban, reason, expires, now)),
+      ...getAuditStmts(request, 'BAN_COMMENT_FOR_ADMIN', [comment._id], null, bans.map((ban) => `${ban.type}:${ban.value}`))
+    ])
+    res.data = results.slice(0, bans.length).map(({ results }) => results[0])
     res.code = RES_CODE.SUCCESS
   } else {
     res.code = RES_CODE.NEED_LOGIN
@@ -642,57 +5217,22 @@ async function commentDeleteForAdmin (event) {
   return res
 }
 
-// 管理员导入评论
-async function commentImportForAdmin (event) {
+/**
+ * 管理员读取封禁规则，包括已过期的规则
+ * @param {String} event.type 只读取指定类型的规则
+ */
+async function banGetForAdmin (event) {
+  const { site } = getContext()
   const res = {}
-  let logText = ''
-  const log = (message) => {
-    logText += `${new Date().toLocaleString()} ${message}\n`
-  }
   const isAdminUser = isAdmin()
   if (isAdminUser) {
-    try {
-      validate(event, ['source', 'file'])
-      log(`开始导入 ${event.source}`)
-      let comments
-      switch (event.source) {
-        case 'valine': {
-          const valineDb = await readFile(event.file, 'json', log)
-          comments = await commentImportValine(valineDb, log)
-          break
-        }
-        case 'disqus': {
-          const disqusDb = await readFile(event.file, 'xml', log)
-          comments = await commentImportDisqus(disqusDb, log)
-          break
-        }
-        case 'artalk': {
-          const artalkDb = await readFile(event.file, 'json', log)
-          comments = await commentImportArtalk(artalkDb, log)
-          break
-        }
-        case 'artalk2': {
-          const artalkDb = await readFile(event.file, 'json', log)
-          comments = await commentImportArtalk2(artalkDb, log)
-          break
-        }
-        case 'twikoo': {
-          const twikooDb = await readFile(event.file, 'json', log)
-          comments = await commentImportTwikoo(twikooDb, log)
-          break
-        }
-        default:
-          throw new Error(`不支持 ${event.source} 的导入，请更新 Twikoo 云函数至最新版本`)
-      }
-      // TODO: 考虑并行导入
-      for (const comment of comments) await save(comment)
-      log(`导入成功`)
-    } catch (e) {
-      log(e.message)
-    }
+    validate(event, ['per', 'page'])
+    const type = event.type ?? ''
+    if (type && !BAN_TYPES.includes(type)) throw new Error('参数"type"不合法')
+    res.count = await db.banCountQuery.bind(type, site).first('count')
+    const { results } = await db.banQuery.bind(type, event.per, event.per * (event.page - 1), site).all()
+    res.data = results
     res.code = RES_CODE.SUCCESS
-    res.log = logText
-    logger.info(logText)
   } else {
     res.code = RES_CODE.NEED_LOGIN
     res.message = '请先登录'
@@ -700,13 +5240,20 @@ async function commentImportForAdmin (event) {
   return res
 }
 
-async function commentExportForAdmin () {
+/**
+ * 管理员删除封禁规则
+ * @param {Array} event.ids 规则 ID
+ */
+async function banDeleteForAdmin (event, request) {
+  const { site } = getContext()
   const res = {}
   const isAdminUser = isAdmin()
   if (isAdminUser) {
-    const { results: data } = await db.commentExportQuery.all()
+    validate(event, ['ids'])
+    const { results } = await db.banDeleteStmt.bind(JSON.stringify(event.ids), site).all()
+    await audit(request, 'BAN_DELETE_FOR_ADMIN', results.map((ban) => ban.id), results, null)
+    res.count = results.length
     res.code = RES_CODE.SUCCESS
-    res.data = data
   } else {
     res.code = RES_CODE.NEED_LOGIN
     res.message = '请先登录'
@@ -714,337 +5261,393 @@ async function commentExportForAdmin () {
   return res
 }
 
-// 读取文件并转为 js object
-async function readFile (file, type, log) {
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+// 读取数据库结构版本，未执行过任何迁移时为 0
+async function getSchemaVersion () {
   try {
-    let content = file.toString('utf8')
-    log('评论文件读取成功')
-    if (type === 'json') {
-      content = jsonParse(content)
-      log('评论文件 JSON 解析成功')
-    } else if (type === 'xml') {
-      content = await xml2js.parseStringPromise(content)
-      log('评论文件 XML 解析成功')
-    }
-    return content
+    return await db.schemaVersionQuery.first('version') ?? 0
   } catch (e) {
-    log(`评论文件读取失败：${e.message}`)
-  }
-}
-
-// 点赞 / 取消点赞
-async function commentLike (event) {
-  const res = {}
-  validate(event, ['id'])
-  await like(event.id, getUid())
-  return res
-}
-
-// 点赞 / 取消点赞
-async function like (id, uid) {
-  const comment = await db.commentByIdQuery.bind(id).first()
-  if (!comment) return
-  let likes = JSON.parse(comment.like)
-  if (likes.findIndex((item) => item === uid) === -1) {
-    // 赞
-    likes.push(uid)
-  } else {
-    // 取消赞
-    likes = likes.filter((item) => item !== uid)
+    // schema_version 表不存在
+    return 0
   }
-  await db.updateLikeStmt.bind(id, JSON.stringify(likes)).run()
 }
-
-/**
- * 提交评论。分为多个步骤
- * 1. 参数校验
- * 2. 预检测垃圾评论（包括限流、人工审核、违禁词检测等）
- * 3. 保存到数据库
- * 4. 触发异步任务（包括 IM 通知、邮件通知、第三方垃圾评论检测
- *    等，因为这些任务比较耗时，所以要放在另一个线程进行）
- * @param {String} event.nick 昵称
- * @param {String} event.mail 邮箱
- * @param {String} event.link 网址
- * @param {String} event.ua UserAgent
- * @param {String} event.url 评论页地址
- * @param {String} event.comment 评论内容
- * @param {String} event.pid 回复的 ID
- * @param {String} event.rid 评论楼 ID
- */
-async function commentSubmit (event, request) {
-  const res = {}
-  // 参数校验
-  validate(event, ['url', 'ua', 'comment'])
-  // 限流
-  await limitFilter(request)
-  // 验证码
-  await checkCaptcha(event, request)
-  // 预检测、转换
-  const data = await parse(event, request)
-  // 保存
-  const comment = await save(data)
-  res.id = comment.id
-  // 异步垃圾检测、发送评论通知
+
+// 执行尚未应用的迁移，所有迁移在同一个 batch（事务）中执行
+async function migrate () {
+  const from = await getSchemaVersion()
+  const pending = MIGRATIONS.filter((migration) => migration.version > from)
+  if (!pending.length) return { from, to: from, applied: [] }
+  logger.info(`数据库结构版本 ${from}，开始迁移至 ${LATEST_SCHEMA_VERSION}`)
+  const now = Date.now()
   try {
-    logger.log('开始异步垃圾检测、发送评论通知')
-    logger.log('POST_SUBMIT')
-
-    await Promise.race([
-      (async () => {
-        try {
-          await postSubmit(comment)
-        } catch (e) {
-          logger.error('POST_SUBMIT 遇到错误')
-          logger.error('请求参数：', comment)
-          logger.error('错误信息：', e)
-        }
-      })(),
-      // 如果超过 5 秒还没收到异步返回，直接继续，减少用户等待的时间
-      new Promise((resolve) => setTimeout(resolve, 5000))
-    ])
-    logger.log('POST_SUBMIT')
+    await db.DB.batch(pending.flatMap((migration) => [
+      ...migration.statements.map((sql) => db.DB.prepare(sql.trim())),
+      db.saveSchemaVersionStmt.bind(migration.version, migration.description, now)
+    ]))
   } catch (e) {
-    logger.error('POST_SUBMIT 失败', e.message)
+    // 可能有其他请求同时完成了迁移
+    if (await getSchemaVersion() >= LATEST_SCHEMA_VERSION) {
+      return { from, to: LATEST_SCHEMA_VERSION, applied: [] }
+    }
+    throw new Error(`数据库迁移失败：${e.message}`)
+  }
+  logger.info('数据库迁移完成')
+  return {
+    from,
+    to: LATEST_SCHEMA_VERSION,
+    applied: pending.map(({ version, description }) => ({ version, description }))
   }
-  return res
 }
 
-// 保存评论
-async function save (data) {
-  data.id = data._id = uuidv4().replace(/-/g, '')
-  await db.saveCommentStmt.bind(
-    data._id, data.uid ?? '', data.nick ?? '', data.mail ?? '', data.mailMd5 ?? '',
-    data.link ?? '', data.ua ?? '', data.ip ?? '', data.master ?? 0,
-    data.url, data.href, data.comment, data.pid ?? '', data.rid ?? '',
-    data.isSpam ?? 0, data.created, data.updated,
-    JSON.stringify(data.like ?? []), data.top ?? 0, data.avatar ?? ''
-  ).run()
-  return data
+// 配置 AUTO_MIGRATE 环境变量后，每个 Worker 实例处理第一个请求时检查并执行迁移
+async function autoMigrate (env) {
+  if (schemaChecked || String(env.AUTO_MIGRATE) !== 'true') return
+  await migrate()
+  schemaChecked = true
 }
 
-async function getParentComment (currentComment) {
-	return db.commentByIdQuery.bind(currentComment.pid).first()
+// 数据库结构落后时可以处理的事件
+const SCHEMA_OUTDATED_EVENTS = ['GET_FUNC_VERSION', 'SCHEMA_MIGRATE_FOR_ADMIN']
+
+// 数据库结构是否落后于 Worker，每个 Worker 实例确认结构最新后不再检查
+async function isSchemaOutdated () {
+  if (schemaChecked) return false
+  schemaChecked = await getSchemaVersion() >= LATEST_SCHEMA_VERSION
+  return !schemaChecked
 }
 
-// 异步垃圾检测、发送评论通知
-async function postSubmit (comment) {
-  // 垃圾检测
-  const isSpam = await postCheckSpam(comment, config) ?? false
-  await saveSpamCheckResult(comment, isSpam)
-  // 发送通知
-  await sendNotice(comment, config, getParentComment)
-  return { code: RES_CODE.SUCCESS }
+// 读取默认站点的配置，兼容 config 表还没有 site 列的旧结构
+async function readDefaultConfig () {
+  let configStr = null
+  try {
+    configStr = await db.readConfigQuery.bind('').first('value')
+  } catch (e) {
+    try {
+      configStr = await db.legacyConfigQuery.first('value')
+    } catch (e) {
+      // config 表不存在
+    }
+  }
+  return configStr ? JSON.parse(configStr) : {}
 }
 
-// 将评论转为数据库存储格式
-async function parse (comment, request) {
-  const timestamp = Date.now()
-  const isAdminUser = isAdmin()
-  const isBloggerMail = equalsMail(comment.mail, config.BLOGGER_EMAIL)
-  if (isBloggerMail && !isAdminUser) throw new Error('请先登录管理面板，再使用博主身份发送评论')
-  const hashMethod = config.GRAVATAR_CDN === 'cravatar.cn' ? md5 : sha256
-  const commentDo = {
-    _id: uuidv4().replace(/-/g, ''),
-    uid: getUid(),
-    nick: comment.nick ? comment.nick : '匿名',
-    mail: comment.mail ? comment.mail : '',
-    mailMd5: comment.mail ? hashMethod(normalizeMail(comment.mail)) : '',
-    link: comment.link ? comment.link : '',
-    ua: comment.ua,
-    ip: getIp(request),
-    master: isBloggerMail,
-    url: comment.url,
-    href: comment.href,
-    comment: xss(comment.comment),
-    pid: comment.pid ? comment.pid : comment.rid,
-    rid: comment.rid,
-    isSpam: isAdminUser ? false : preCheckSpam(comment, config),
-    created: timestamp,
-    updated: timestamp
+// 新增限流表的数据库结构版本
+const RATE_LIMIT_SCHEMA_VERSION = 4
+
+/**
+ * 数据库结构落后时验证默认站点的管理密码，与登录共用限流和失败锁定
+ * 未设置管理密码，或者还没有限流表时无法安全地验证，只能通过 AUTO_MIGRATE 迁移
+ */
+async function verifyMigratePassword (password, request) {
+  const context = getContext()
+  context.site = ''
+  context.config = await readDefaultConfig()
+  if (!context.config.ADMIN_PASS) {
+    throw new Error('未配置管理密码，请开启 AUTO_MIGRATE 执行迁移')
   }
-  if (isQQ(comment.mail)) {
-    commentDo.mail = addQQMailSuffix(comment.mail)
-    commentDo.mailMd5 = md5(normalizeMail(commentDo.mail))
-    commentDo.avatar = await getQQAvatar(comment.mail)
+  if (await getSchemaVersion() < RATE_LIMIT_SCHEMA_VERSION) {
+    throw new Error('数据库结构过旧，请开启 AUTO_MIGRATE 执行迁移')
   }
-  return commentDo
+  const lockout = getLoginLockout(request)
+  const retryAfter = await peekRateLimit(lockout.key, lockout.rule)
+  if (retryAfter) {
+    throw new TooManyRequestsError('登录失败次数过多，请稍后再试', retryAfter)
+  }
+  const exceeded = await hitRateLimits(getRateLimits('login', request))
+  if (exceeded) {
+    throw new TooManyRequestsError('Too Many Requests', exceeded.retryAfter)
+  }
+  if (typeof password !== 'string' || !await verifyPassword(password, context.config.ADMIN_PASS)) {
+    await hitRateLimits([lockout])
+    return false
+  }
+  await db.rateLimitDeleteStmt.bind(lockout.key).run()
+  return true
 }
 
-// 限流
-async function limitFilter (request) {
-  // 限制每个 IP 每 10 分钟发表的评论数量
-  let limitPerMinute = parseInt(config.LIMIT_PER_MINUTE)
-  if (Number.isNaN(limitPerMinute)) limitPerMinute = 10
-  // 限制所有 IP 每 10 分钟发表的评论数量
-  let limitPerMinuteAll = parseInt(config.LIMIT_PER_MINUTE_ALL)
-  if (Number.isNaN(limitPerMinuteAll)) limitPerMinuteAll = 10
-
-  const getCountByIp = async () => limitPerMinute ?
-    db.commentCountSinceByIpQuery.bind(
-      Date.now() - 600000, getIp(request)
-    ).first('count') : 0
-  const getCount = async () => limitPerMinuteAll ?
-    db.commentCountSinceQuery.bind(Date.now() - 600000).first('count') : 0
-  const [countByIp, count] = await Promise.all([getCountByIp(), getCount()])
-
-  if (countByIp > limitPerMinute) throw new Error('发言频率过高')
-  if (count > limitPerMinuteAll) throw new Error('评论太火爆啦 >_< 请稍后再试')
+/**
+ * 管理员执行数据库迁移
+ * 数据库结构落后时会话表可能不可用，使用 event.password 验证默认站点的管理密码
+ */
+async function schemaMigrateForAdmin (event, request) {
+  const outdated = await isSchemaOutdated()
+  const isAdminUser = outdated ? await verifyMigratePassword(event.password, request) : isSuperAdmin()
+  if (isAdminUser) {
+    const result = await migrate()
+    schemaChecked = true
+    // 迁移前只读取了默认站点的原始配置，审计日志使用迁移后默认站点的配置
+    if (outdated) await switchSite('')
+    if (result.applied.length) {
+      await audit(request, 'SCHEMA_MIGRATE_FOR_ADMIN', result.applied.map(({ version }) => version), { version: result.from }, { version: result.to })
+    }
+    return {
+      code: RES_CODE.SUCCESS,
+      ...result
+    }
+  } else {
+    return {
+      code: RES_CODE.NEED_LOGIN,
+      message: '请先登录'
+    }
+  }
 }
 
-async function checkCaptcha (comment, request) {
-  if (config.TURNSTILE_SITE_KEY && config.TURNSTILE_SECRET_KEY) {
-    await checkTurnstileCaptcha({
-      ip: getIp(request),
-      turnstileToken: comment.turnstileToken,
-      turnstileTokenSecretKey: config.TURNSTILE_SECRET_KEY
-    })
-  }
+// 退订链接的路径
+const UNSUBSCRIBE_ROUTE = '/unsubscribe'
+
+// 退订链接签名，覆盖邮箱和退订范围
+async function signSubscription (mail, url, rid) {
+  const signature = await crypto.subtle.sign(
+    'HMAC', await getHmacKey('UNSUBSCRIBE_SECRET'), new TextEncoder().encode(JSON.stringify([mail, url, rid]))
+  )
+  return toBase64Url(new Uint8Array(signature))
+}
+
+// 生成一键退订链接，无法确定云函数地址或没有签名密钥时返回空字符串
+// 密钥只在保存配置时生成，发送邮件时不生成，避免并行发送的邮件各自生成密钥，使已发出的链接失效
+async function getUnsubscribeUrl (mail, url, rid) {
+  const { site, config } = getContext()
+  const baseUrl = config.WORKER_URL || workerUrl
+  if (!baseUrl || !config.UNSUBSCRIBE_SECRET) return ''
+  const params = new URLSearchParams({
+    ...(site ? { site } : {}), mail, url, rid, sig: await signSubscription(mail, url, rid)
+  })
+  return `${baseUrl.replace(/\/$/, '')}${UNSUBSCRIBE_ROUTE}?${params}`
 }
 
-async function checkTurnstileCaptcha ({ ip, turnstileToken, turnstileTokenSecretKey }) {
+// 处理邮件中的退订链接
+async function unsubscribeByLink (request, env) {
+  const headers = { 'content-type': 'text/html;charset=UTF-8' }
   try {
-    const formData = new FormData()
-    formData.append('secret', turnstileTokenSecretKey)
-    formData.append('response', turnstileToken)
-    formData.append('remoteip', ip)
-    const resp = await fetch('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
-      method: 'POST',
-      body: formData,
-    })
-    const data = await resp.json()
-    logger.log('验证码检测结果', data)
-    if (!data.success) throw new Error('验证码错误')
+    await autoMigrate(env)
+    // 退订链接由各站点的密钥签名，只在所属站点有效
+    await switchSite(await resolveSite(request, {}))
+    const { site, config } = getContext()
+    if (!config.UNSUBSCRIBE_SECRET) return new Response('<p>退订链接无效</p>', { status: 400, headers })
+    const params = new URL(request.url).searchParams
+    const mail = normalizeMail(params.get('mail') ?? '')
+    const url = params.get('url') ?? ''
+    const rid = params.get('rid') ?? ''
+    const expected = fromBase64Url(await signSubscription(mail, url, rid))
+    let signature
+    try {
+      signature = fromBase64Url(params.get('sig') ?? '')
+    } catch (e) {
+      signature = new Uint8Array()
+    }
+    if (!mail || !timingSafeEqual(expected, signature)) {
+      return new Response('<p>退订链接无效</p>', { status: 400, headers })
+    }
+    await db.saveSubscriptionStmt.bind(mail, url, rid, 0, Date.now(), site).run()
+    return new Response(`<p>${url ? '已退订此讨论的通知' : '已退订所有通知'}</p>`, { headers })
   } catch (e) {
-    throw new Error('验证码检测失败: ' + e.message)
+    if (e instanceof SiteNotFoundError) return new Response('<p>退订链接无效</p>', { status: 400, headers })
+    logger.error('退订失败：', e)
+    return new Response('<p>退订失败，请稍后重试</p>', { status: 500, headers })
   }
 }
 
-async function saveSpamCheckResult (comment, isSpam) {
-  comment.isSpam = isSpam
-  await db.updateIsSpamStmt.bind(comment._id, isSpam, Date.now()).run()
+// 只能管理自己发表评论时使用的邮箱的订阅
+async function checkSubscriptionMail (mail) {
+  const { site } = getContext()
+  if (!mail) throw new Error('请填写邮箱')
+  if (isAdmin()) return normalizeMail(mail)
+  if (!await db.commentByUidMailQuery.bind(getUid(), mail, site).first()) {
+    throw new Error('只能管理自己评论时使用的邮箱的订阅')
+  }
+  return normalizeMail(mail)
 }
 
 /**
- * 获取文章点击量
- * @param {String} event.url 文章地址
+ * 订阅页面或讨论串的新评论
+ * @param {String} event.mail 接收通知的邮箱
+ * @param {String} event.url 页面地址
+ * @param {String} event.rid 讨论串（主楼评论）ID，为空时订阅整个页面
  */
-async function counterGet (event) {
-  const res = {}
-  try {
-    validate(event, ['url'])
-    await db.incCounterStmt.bind(event.url, event.title, Date.now()).run()
-    res.time = await db.counterQuery.bind(event.url).first('time')
-  } catch (e) {
-    res.message = e.message
-    return res
-  }
-  return res
+async function commentSubscribe (event) {
+  const { site } = getContext()
+  validate(event, ['mail', 'url'])
+  const mail = await checkSubscriptionMail(event.mail)
+  await db.saveSubscriptionStmt.bind(mail, normalizeUrl(event.url), event.rid ?? '', 1, Date.now(), site).run()
+  return { code: RES_CODE.SUCCESS }
 }
 
 /**
- * 批量获取文章评论数 API
- * @param {Array} event.urls 不包含协议和域名的文章路径列表，必传参数
- * @param {Boolean} event.includeReply 评论数是否包括回复，默认：false
+ * 退订页面、讨论串或全部通知，退订后不再收到回复通知
+ * @param {String} event.mail 邮箱
+ * @param {String} event.url 页面地址，为空时退订全部通知
+ * @param {String} event.rid 讨论串（主楼评论）ID，为空时退订整个页面
  */
-async function getCommentsCount (event) {
-  const res = {}
-  try {
-    validate(event, ['urls'])
-    res.data = await Promise.all(event.urls.map(
-      async (url) => ({
-        url,
-        count: await db.commentCountByUrlQuery
-          .bind(url, event.includeReply)
-          .first('count'),
-      })))
-  } catch (e) {
-    res.message = e.message
-    return res
-  }
-  return res
+async function commentUnsubscribe (event) {
+  const { site } = getContext()
+  validate(event, ['mail'])
+  const mail = await checkSubscriptionMail(event.mail)
+  const url = event.url ? normalizeUrl(event.url) : ''
+  await db.saveSubscriptionStmt.bind(mail, url, url ? event.rid ?? '' : '', 0, Date.now(), site).run()
+  return { code: RES_CODE.SUCCESS }
 }
 
 /**
- * 获取最新评论 API
- * @param {Boolean} event.includeReply 评论数是否包括回复，默认：false
+ * 读取邮箱的订阅记录，subscribed 为 0 表示已退订
+ * @param {String} event.mail 邮箱
  */
-async function getRecentComments (event) {
-  const res = {}
-  try {
-    if (event.pageSize > 100) event.pageSize = 100
-    let result
-    if (event.urls && event.urls.length) {
-      result = await db.recentCommentsByUrlQuery.bind(
-        1, '', event.includeReply, event.pageSize || 10
-      ).all()
-    } else {
-      result = (await Promise.all(event.urls.map(
-        (url) => db.recentCommentsByUrlQuery.bind(
-          0, url, event.includeReply, event.pageSize || 10
-        ).all()
-      ))).flat()
-    }
-    res.data = result.map((comment) => {
-      return {
-        id: comment._id.toString(),
-        url: comment.url,
-        nick: comment.nick,
-        avatar: getAvatar(comment, config),
-        mailMd5: getMailMd5(comment),
-        link: comment.link,
-        comment: comment.comment,
-        commentText: $(comment.comment).text(),
-        created: comment.created
-      }
-    })
-  } catch (e) {
-    res.message = e.message
-    return res
+async function commentSubscriptionGet (event) {
+  const { site } = getContext()
+  validate(event, ['mail'])
+  const mail = await checkSubscriptionMail(event.mail)
+  const { results } = await db.subscriptionByMailQuery.bind(mail, site).all()
+  return {
+    code: RES_CODE.SUCCESS,
+    data: results
   }
-  return res
 }
 
-// 修改配置
-async function setConfig (event) {
-  const isAdminUser = isAdmin()
-  if (isAdminUser) {
-    await writeConfig(event.config)
-    return {
-      code: RES_CODE.SUCCESS
-    }
-  } else {
-    return {
-      code: RES_CODE.NEED_LOGIN,
-      message: '请先登录'
+// 定时维护任务，按顺序在每个站点执行，单个任务失败不影响其他任务
+const SCHEDULED_TASKS = {
+  purgeSpam,
+  anonymizeIp,
+  backup
+}
+const DAY_MILLIS = 86400000
+const BACKUP_PREFIX = 'backup/'
+// 备份的表及只选出当前站点数据的条件，?3 为站点 ID
+const BACKUP_TABLES = {
+  comment: 'site = ?3',
+  comment_reaction: 'commentId IN (SELECT _id FROM comment WHERE site = ?3)',
+  counter: 'site = ?3',
+  config: 'site = ?3'
+}
+// 分批读取，避免一次读取整张表
+const BACKUP_PAGE_SIZE = 500
+
+// 读取天数配置，未配置或为 0 时返回 0，表示不执行
+function getDaysConfig (key) {
+  const { config } = getContext()
+  const days = parseFloat(config[key])
+  return days > 0 ? days : 0
+}
+
+// 删除超过 SPAM_RETENTION_DAYS 天的垃圾评论
+async function purgeSpam (env, now) {
+  const { site } = getContext()
+  const days = getDaysConfig('SPAM_RETENTION_DAYS')
+  if (!days) return { skipped: true }
+  const { meta } = await db.spamPurgeStmt.bind(now - days * DAY_MILLIS, site).run()
+  return { deleted: meta.changes }
+}
+
+// 清除超过 IP_RETENTION_DAYS 天的评论、修改记录和图片中保存的 IP
+async function anonymizeIp (env, now) {
+  const { site } = getContext()
+  const days = getDaysConfig('IP_RETENTION_DAYS')
+  if (!days) return { skipped: true }
+  const before = now - days * DAY_MILLIS
+  const results = await db.DB.batch([
+    db.commentIpAnonymizeStmt.bind(before, site),
+    db.commentHistoryIpAnonymizeStmt.bind(before, site),
+    db.imageIpAnonymizeStmt.bind(before, site)
+  ])
+  return { updated: results.reduce((sum, { meta }) => sum + meta.changes, 0) }
+}
+
+// 按站点重新统计页面数、访问量和评论数
+async function recomputeStats (env, now) {
+  await db.DB.batch([db.statsDeleteStmt, db.statsRecomputeStmt.bind(now)])
+  return { updated: now }
+}
+
+// 将当前站点 comment、comment_reaction、counter、config 表中的数据备份为 gzip 压缩的 JSON 并上传到 R2，保留最近 BACKUP_KEEP 份
+// 默认站点的备份保存在 backup/ 下，其他站点保存在 backup/<站点 ID>/ 下
+// 备份包含管理密码哈希等敏感配置，因此使用单独的 BACKUP 存储桶，不与可公开访问的图片存储桶混用
+async function backup (env, now) {
+  const { site, config } = getContext()
+  const keep = parseInt(config.BACKUP_KEEP)
+  const bucket = env.BACKUP
+  if (!(keep > 0) || !bucket) return { skipped: true }
+  const prefix = site ? `${BACKUP_PREFIX}${site}/` : BACKUP_PREFIX
+  const key = `${prefix}${new Date(now).toISOString().replace(/[:.]/g, '-')}.json.gz`
+  const body = await createBackup(site, now)
+  await bucket.put(key, body, {
+    httpMetadata: { contentType: 'application/json', contentEncoding: 'gzip' }
+  })
+
+  const keys = []
+  let cursor
+  do {
+    const listed = await bucket.list({ prefix, cursor })
+    // 默认站点的前缀也会列出其他站点的备份，只保留直接位于前缀下的文件
+    keys.push(...listed.objects.map((object) => object.key).filter((key) => !key.includes('/', prefix.length)))
+    cursor = listed.truncated ? listed.cursor : undefined
+  } while (cursor)
+  // 文件名以时间开头，按名称排序即按时间排序
+  const expired = keys.sort().slice(0, -keep)
+  for (let i = 0; i < expired.length; i += R2_DELETE_BATCH_SIZE) {
+    await bucket.delete(expired.slice(i, i + R2_DELETE_BATCH_SIZE))
+  }
+  return { key, size: body.byteLength, deleted: expired.length }
+}
+
+// 边读取边压缩，内存中只保留压缩后的数据
+async function createBackup (site, now) {
+  const compression = new CompressionStream('gzip')
+  const compressed = new Response(compression.readable).arrayBuffer()
+  const writer = compression.writable.getWriter()
+  const encoder = new TextEncoder()
+  const write = (text) => writer.write(encoder.encode(text))
+  await write(`{"version":${JSON.stringify(VERSION)},"schemaVersion":${await getSchemaVersion()},"site":${JSON.stringify(site)},"created":${now}`)
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    await write(`,${JSON.stringify(table)}:[`)
+    let lastRowid = 0
+    let first = true
+    while (true) {
+      const { results } = await db.getBackupQuery(table).bind(lastRowid, BACKUP_PAGE_SIZE, site).all()
+      for (const { _rowid, ...row } of results) {
+        await write(`${first ? '' : ','}${JSON.stringify(row)}`)
+        first = false
+        lastRowid = _rowid
+      }
+      if (results.length < BACKUP_PAGE_SIZE) break
     }
+    await write(']')
   }
+  await write('}')
+  await writer.close()
+  return compressed
 }
 
-function protect (request) {
-  // 防御
-  const ip = getIp(request)
-  requestTimes[ip] = (requestTimes[ip] || 0) + 1
-  if (requestTimes[ip] > MAX_REQUEST_TIMES) {
-    logger.warn(`${ip} 当前请求次数为 ${requestTimes[ip]}，已超过最大请求次数`)
-    throw new Error('Too Many Requests')
+// 管理员读取定时任务统计的数据
+async function statsGetForAdmin () {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const { results } = await db.statsQuery.bind(site).all()
+    res.data = Object.fromEntries(results.map(({ key, value }) => [key, value]))
+    res.updated = results.reduce((updated, stat) => Math.max(updated, stat.updated), 0)
+    res.code = RES_CODE.SUCCESS
   } else {
-    logger.log(`${ip} 当前请求次数为 ${requestTimes[ip]}`)
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
   }
+  return res
 }
 
 // 读取配置
-async function readConfig () {
-  const configStr = await db.readConfigQuery.first('value')
-  return config = configStr ? JSON.parse(configStr) : {}
+async function readConfig (id) {
+  const configStr = await db.readConfigQuery.bind(id).first('value')
+  return configStr ? JSON.parse(configStr) : {}
 }
 
 // 写入配置
 async function writeConfig (newConfig) {
   if (!Object.keys(newConfig).length) return
   logger.info('写入配置：', newConfig)
+  const context = getContext()
   try {
-    const config = { ...await readConfig(), ...newConfig }
-    await db.writeConfigStmt.bind(JSON.stringify(config)).run()
+    const mergedConfig = { ...await readConfig(context.site), ...newConfig }
+    await db.writeConfigStmt.bind(JSON.stringify(mergedConfig), context.site).run()
+    context.config = mergedConfig
   } catch (e) {
     logger.error('写入配置失败：', e)
   }
@@ -1052,67 +5655,245 @@ async function writeConfig (newConfig) {
 
 // 获取用户 ID
 function getUid () {
-  return accessToken
+  return getContext().accessToken
 }
 
 // 判断用户是否管理员
 function isAdmin () {
-  const uid = getUid()
-  return config.ADMIN_PASS === md5(uid)
+  return !!getContext().adminSession
 }
 
 function getIp (request) {
   return request.headers.get('CF-Connecting-IP')
 }
 
+// 未配置 R2_PUBLIC_URL 时，由云函数在此路径下提供图片
+const R2_IMAGE_ROUTE = '/image/'
+// 只允许访问上传生成的图片，避免暴露存储桶中的其他对象
+const R2_IMAGE_KEY_REGEX = /^\d{4}\/\d{2}\/[0-9a-f]{64}\.[a-z]+$/
+// 默认图片大小上限（KB）
+const DEFAULT_IMAGE_MAX_SIZE = 5120
+const DEFAULT_IMAGE_ALLOWED_TYPES = ['jpeg', 'png', 'gif', 'webp']
+// 刚上传的图片可能还没随评论提交，超过 1 天仍未被引用才视为孤立图片
+const ORPHAN_IMAGE_GRACE_MILLIS = 86400000
+// R2 单次最多删除 1000 个对象
+const R2_DELETE_BATCH_SIZE = 1000
+
+// 根据文件头识别图片格式，不信任 data URI 中声明的 MIME
+const IMAGE_SIGNATURES = [
+  { type: 'jpeg', mime: 'image/jpeg', ext: 'jpg', match: (b) => bytesAt(b, 0, [0xff, 0xd8, 0xff]) },
+  { type: 'png', mime: 'image/png', ext: 'png', match: (b) => bytesAt(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'gif', mime: 'image/gif', ext: 'gif', match: (b) => asciiAt(b, 0, 'GIF87a') || asciiAt(b, 0, 'GIF89a') },
+  { type: 'webp', mime: 'image/webp', ext: 'webp', match: (b) => asciiAt(b, 0, 'RIFF') && asciiAt(b, 8, 'WEBP') },
+  { type: 'bmp', mime: 'image/bmp', ext: 'bmp', match: (b) => asciiAt(b, 0, 'BM') },
+  { type: 'avif', mime: 'image/avif', ext: 'avif', match: (b) => asciiAt(b, 4, 'ftypavif') || asciiAt(b, 4, 'ftypavis') }
+]
+
+function bytesAt (bytes, offset, signature) {
+  if (bytes.length < offset + signature.length) return false
+  return signature.every((byte, i) => bytes[offset + i] === byte)
+}
+
+function asciiAt (bytes, offset, text) {
+  return bytesAt(bytes, offset, Array.from(text, (char) => char.charCodeAt(0)))
+}
+
+function sniffImage (bytes) {
+  return IMAGE_SIGNATURES.find((signature) => signature.match(bytes))
+}
+
+function getImageMaxSize () {
+  const { config } = getContext()
+  const maxSize = parseInt(config.IMAGE_MAX_SIZE)
+  return (Number.isNaN(maxSize) ? DEFAULT_IMAGE_MAX_SIZE : maxSize) * 1024
+}
+
+function getImageAllowedTypes () {
+  const { config } = getContext()
+  if (!config.IMAGE_ALLOWED_TYPES) return DEFAULT_IMAGE_ALLOWED_TYPES
+  return config.IMAGE_ALLOWED_TYPES
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .map((type) => type === 'jpg' ? 'jpeg' : type)
+}
+
+function getImageUrl (key, request, cdnUrl) {
+  if (cdnUrl) return `${cdnUrl.replace(/\/$/, '')}/${key}`
+  return `${new URL(request.url).origin}${R2_IMAGE_ROUTE}${key}`
+}
+
+async function sha256Hex (bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
 // R2上传图片
-async function r2_upload(event, cdnUrl) {
+async function r2_upload (event, request, bucket, cdnUrl) {
+  const { site } = getContext()
   const { photo } = event
   const res = {}
   try {
-    if (cdnUrl.endsWith('/')) {
-      cdnUrl = cdnUrl.substring(0, cdnUrl.length - 1)
-    }
+    validate(event, ['photo'])
+    const bytes = dataURIToBytes(photo, getImageMaxSize())
+    const image = sniffImage(bytes)
+    if (!image) throw new Error('无法识别的图片格式')
+    if (!getImageAllowedTypes().includes(image.type)) throw new Error(`不允许上传 ${image.type} 格式的图片`)
+    // 以内容哈希去重，相同图片只保存一份，各站点分别记录
+    const hash = await sha256Hex(bytes)
+    const existingKey = await db.imageKeyByHashQuery.bind(hash).first('key')
     const now = new Date()
     const year = now.getFullYear()
     const month = now.getMonth() + 1
     const path = month < 10 ? `${year}/0${month}/` : `${year}/${month}/`
-    let filename = md5(photo)
-    const blob = dataURIToBlob(photo)
-    const mime = blob.type.split('/')
-    if (mime.length > 1) {
-      filename += '.' + mime[1].trim()
-    }
-    // 🚨 这里删掉 bucket.put，直接返回 publicURL 拼接的地址
-    res.code = 0
+    const key = existingKey ?? `${path}${hash}.${image.ext}`
+    if (existingKey && await bucket.head(key)) {
+      logger.log('图片已存在，跳过上传：', key)
+    } else {
+      await bucket.put(key, bytes, {
+        httpMetadata: {
+          contentType: image.mime,
+          cacheControl: 'public, max-age=31536000, immutable'
+        }
+      })
+    }
+    await db.saveImageStmt.bind(
+      hash, key, image.mime, bytes.length, getUid(), getIp(request) ?? '', Date.now(), site
+    ).run()
+    res.code = RES_CODE.SUCCESS
     res.data = {
-      name: filename,
-      size: blob.size,
-      url: `${cdnUrl}/${path}${filename}`
+      name: key.split('/').pop(),
+      size: bytes.length,
+      url: getImageUrl(key, request, cdnUrl)
     }
   } catch (e) {
     logger.error(e)
-    res.code = 1040
+    res.code = RES_CODE.UPLOAD_FAILED
     res.err = e.message
   }
   return res
 }
 
-function dataURIToBlob(dataURI) {
+// 从 R2 读取图片
+async function r2Serve (request, bucket, key) {
+  if (!bucket || !R2_IMAGE_KEY_REGEX.test(key)) {
+    return new Response('Not Found', { status: 404 })
+  }
+  const object = await bucket.get(key, { onlyIf: request.headers })
+  if (!object) {
+    return new Response('Not Found', { status: 404 })
+  }
+  const headers = new Headers()
+  object.writeHttpMetadata(headers)
+  headers.set('etag', object.httpEtag)
+  headers.set('X-Content-Type-Options', 'nosniff')
+  // 条件请求命中时 R2 不返回 body
+  return new Response(object.body ?? null, { status: object.body ? 200 : 304, headers })
+}
+
+// 管理员读取已上传的图片及引用它们的评论
+async function imageGetForAdmin (event, request, cdnUrl) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['per', 'page'])
+    const count = await db.imageCountQuery.bind(site).first('count')
+    const { results: images } = await db.imageQuery
+      .bind(event.per, event.per * (event.page - 1), site)
+      .all()
+    res.code = RES_CODE.SUCCESS
+    res.count = count
+    res.data = await Promise.all(images.map(async (image) => ({
+      ...image,
+      url: getImageUrl(image.key, request, cdnUrl),
+      comments: (await db.imageRefQuery.bind(image.key, site).all()).results
+    })))
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 管理员删除图片
+async function imageDeleteForAdmin (event, request, bucket) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    validate(event, ['hash'])
+    const image = await db.imageByHashQuery.bind(event.hash, site).first()
+    if (image) {
+      await deleteImages([image], bucket)
+      await audit(request, 'IMAGE_DELETE_FOR_ADMIN', [image.hash], image, null)
+    }
+    res.code = RES_CODE.SUCCESS
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 管理员清理未被任何评论引用的图片
+async function imageDeleteOrphansForAdmin (event, request, bucket) {
+  const { site } = getContext()
+  const res = {}
+  const isAdminUser = isAdmin()
+  if (isAdminUser) {
+    const { results: images } = await db.orphanImageQuery
+      .bind(Date.now() - ORPHAN_IMAGE_GRACE_MILLIS, site)
+      .all()
+    await deleteImages(images, bucket)
+    if (images.length) {
+      await audit(request, 'IMAGE_DELETE_ORPHANS_FOR_ADMIN', images.map((image) => image.hash), null, null)
+    }
+    logger.info(`已清理 ${images.length} 张孤立图片`)
+    res.code = RES_CODE.SUCCESS
+    res.count = images.length
+    res.data = images.map((image) => image.key)
+  } else {
+    res.code = RES_CODE.NEED_LOGIN
+    res.message = '请先登录'
+  }
+  return res
+}
+
+// 删除当前站点的图片记录，其他站点也上传过的图片保留存储桶中的对象
+async function deleteImages (images, bucket) {
+  const { site } = getContext()
+  for (let i = 0; i < images.length; i += R2_DELETE_BATCH_SIZE) {
+    const chunk = images.slice(i, i + R2_DELETE_BATCH_SIZE)
+    await db.DB.batch(chunk.map((image) => db.imageDeleteStmt.bind(image.hash, site)))
+    const keys = chunk.map((image) => image.key)
+    const { results } = await db.imageKeysInUseQuery.bind(JSON.stringify(keys)).all()
+    const inUse = new Set(results.map((image) => image.key))
+    const unused = keys.filter((key) => !inUse.has(key))
+    if (bucket && unused.length) await bucket.delete(unused)
+  }
+}
+
+function dataURIToBytes (dataURI, maxSize) {
   // 分离 MIME 类型和 base64 数据
-  const [header, base64] = dataURI.split(',');
-  const mime = header.match(/:(.*?);/)[1];
+  const [header, base64] = dataURI.split(',')
+  if (!base64 || !/;base64$/.test(header)) throw new Error('图片数据格式错误')
+
+  // 解码前先估算大小，避免解码过大的数据
+  if (Math.floor(base64.length * 3 / 4) > maxSize + 2) {
+    throw new Error(`图片大小不能超过 ${Math.floor(maxSize / 1024)} KB`)
+  }
 
   // 解码 base64 数据
-  const binaryString = atob(base64);
-  const len = binaryString.length;
+  const binaryString = atob(base64)
+  const len = binaryString.length
+  if (len > maxSize) {
+    throw new Error(`图片大小不能超过 ${Math.floor(maxSize / 1024)} KB`)
+  }
 
   // 创建 Uint8Array 存储二进制数据
-  const uint8Array = new Uint8Array(len);
+  const uint8Array = new Uint8Array(len)
   for (let i = 0; i < len; i++) {
-      uint8Array[i] = binaryString.charCodeAt(i);
+    uint8Array[i] = binaryString.charCodeAt(i)
   }
-
-  // 创建 Blob 对象
-  return new Blob([uint8Array], { type: mime });
+  return uint8Array
 }
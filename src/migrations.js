@@ -0,0 +1,501 @@
+/**
+ * D1 数据库迁移，按版本号顺序执行，已执行的版本记录在 schema_version 表中
+ * 新增迁移时追加到末尾，不要修改已发布的迁移，并同步更新 schema.sql
+ */
+export default [
+  {
+    version: 1,
+    description: '初始化评论、配置、计数器表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER NOT NULL PRIMARY KEY,
+  description TEXT NOT NULL,
+  applied INTEGER NOT NULL
+)`, `
+CREATE TABLE IF NOT EXISTS comment (
+  _id TEXT NOT NULL,
+  uid TEXT NOT NULL,
+  nick TEXT NOT NULL,
+  mail TEXT NOT NULL,
+  mailMd5 TEXT NOT NULL,
+  link TEXT NOT NULL,
+  ua TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  master INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  href TEXT NOT NULL,
+  comment TEXT NOT NULL,
+  pid TEXT NOT NULL,
+  rid TEXT NOT NULL,
+  isSpam INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  like TEXT NOT NULL,
+  top INTEGER NOT NULL,
+  avatar TEXT NOT NULL,
+  PRIMARY KEY (url, created DESC)
+)`,
+    'CREATE INDEX IF NOT EXISTS idx_comment_created ON comment (created DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_comment_ip_created ON comment (ip, created DESC)', `
+CREATE TABLE IF NOT EXISTS config (
+  value TEXT NOT NULL
+)`,
+    'INSERT INTO config (value) SELECT \'\' WHERE NOT EXISTS (SELECT 1 FROM config)', `
+CREATE TABLE IF NOT EXISTS counter (
+  url TEXT NOT NULL PRIMARY KEY,
+  title TEXT NOT NULL,
+  time INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL
+)`]
+  },
+  {
+    version: 2,
+    description: '新增图片表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS image (
+  hash TEXT NOT NULL PRIMARY KEY,
+  key TEXT NOT NULL,
+  mime TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  uid TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL
+)`,
+    'CREATE INDEX IF NOT EXISTS idx_image_created ON image (created DESC)']
+  },
+  {
+    version: 3,
+    description: '新增管理员会话表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS session (
+  id TEXT NOT NULL PRIMARY KEY,
+  ip TEXT NOT NULL,
+  ua TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  expires INTEGER NOT NULL
+)`]
+  },
+  {
+    version: 4,
+    description: '新增限流表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS rate_limit (
+  key TEXT NOT NULL,
+  slot INTEGER NOT NULL,
+  count INTEGER NOT NULL,
+  expires INTEGER NOT NULL,
+  PRIMARY KEY (key, slot)
+)`,
+    'CREATE INDEX IF NOT EXISTS idx_rate_limit_expires ON rate_limit (expires)']
+  },
+  {
+    version: 5,
+    description: '新增评论全文索引',
+    statements: [`
+CREATE VIRTUAL TABLE IF NOT EXISTS comment_fts USING fts5(
+  nick, mail, link, ip, comment, url, href,
+  content = 'comment',
+  tokenize = 'trigram'
+)`, `
+CREATE TRIGGER IF NOT EXISTS comment_fts_insert AFTER INSERT ON comment BEGIN
+  INSERT INTO comment_fts (rowid, nick, mail, link, ip, comment, url, href)
+  VALUES (new.rowid, new.nick, new.mail, new.link, new.ip, new.comment, new.url, new.href);
+END`, `
+CREATE TRIGGER IF NOT EXISTS comment_fts_delete AFTER DELETE ON comment BEGIN
+  INSERT INTO comment_fts (comment_fts, rowid, nick, mail, link, ip, comment, url, href)
+  VALUES ('delete', old.rowid, old.nick, old.mail, old.link, old.ip, old.comment, old.url, old.href);
+END`, `
+CREATE TRIGGER IF NOT EXISTS comment_fts_update AFTER UPDATE OF nick, mail, link, ip, comment, url, href ON comment BEGIN
+  INSERT INTO comment_fts (comment_fts, rowid, nick, mail, link, ip, comment, url, href)
+  VALUES ('delete', old.rowid, old.nick, old.mail, old.link, old.ip, old.comment, old.url, old.href);
+  INSERT INTO comment_fts (rowid, nick, mail, link, ip, comment, url, href)
+  VALUES (new.rowid, new.nick, new.mail, new.link, new.ip, new.comment, new.url, new.href);
+END`,
+    // 为已有评论建立索引
+    'INSERT INTO comment_fts (comment_fts) VALUES (\'rebuild\')']
+  },
+  {
+    version: 6,
+    description: '新增回复关系索引',
+    statements: [
+      'CREATE INDEX IF NOT EXISTS idx_comment_rid ON comment (rid)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_pid ON comment (pid)'
+    ]
+  },
+  {
+    version: 7,
+    description: '支持作者修改、删除评论',
+    statements: [
+      'ALTER TABLE comment ADD COLUMN edited INTEGER NOT NULL DEFAULT 0', `
+CREATE TABLE IF NOT EXISTS comment_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  commentId TEXT NOT NULL,
+  action TEXT NOT NULL,
+  url TEXT NOT NULL,
+  nick TEXT NOT NULL,
+  comment TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_comment_history_comment ON comment_history (commentId, created DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_history_created ON comment_history (created DESC)'
+    ]
+  },
+  {
+    version: 8,
+    description: '新增管理员操作日志',
+    statements: [`
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,
+  target TEXT NOT NULL,
+  before TEXT NOT NULL,
+  after TEXT NOT NULL,
+  session TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_action_created ON audit_log (action, created DESC)'
+    ]
+  },
+  {
+    version: 9,
+    description: '新增定时任务统计',
+    statements: [`
+CREATE TABLE IF NOT EXISTS stats (
+  key TEXT NOT NULL PRIMARY KEY,
+  value INTEGER NOT NULL,
+  updated INTEGER NOT NULL
+)`
+    ]
+  },
+  {
+    version: 10,
+    description: '新增通知队列',
+    statements: [`
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  commentId TEXT NOT NULL,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  error TEXT NOT NULL,
+  nextAttempt INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_notification_outbox_status_next ON notification_outbox (status, nextAttempt)'
+    ]
+  },
+  {
+    version: 11,
+    description: '新增评论订阅表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS subscription (
+  mail TEXT NOT NULL,
+  url TEXT NOT NULL,
+  rid TEXT NOT NULL,
+  subscribed INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (mail, url, rid)
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_subscription_url_rid ON subscription (url, rid)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_uid ON comment (uid)'
+    ]
+  },
+  {
+    version: 12,
+    description: '支持多站点',
+    statements: [
+      // 评论表主键加入站点，重建时保留 rowid，全文索引无需重建
+      `
+CREATE TABLE comment_new (
+  _id TEXT NOT NULL,
+  uid TEXT NOT NULL,
+  nick TEXT NOT NULL,
+  mail TEXT NOT NULL,
+  mailMd5 TEXT NOT NULL,
+  link TEXT NOT NULL,
+  ua TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  master INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  href TEXT NOT NULL,
+  comment TEXT NOT NULL,
+  pid TEXT NOT NULL,
+  rid TEXT NOT NULL,
+  isSpam INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  like TEXT NOT NULL,
+  top INTEGER NOT NULL,
+  avatar TEXT NOT NULL,
+  edited INTEGER NOT NULL DEFAULT 0,
+  site TEXT NOT NULL DEFAULT '',
+  PRIMARY KEY (site, url, created DESC)
+)`, `
+INSERT INTO comment_new (
+  rowid, _id, uid, nick, mail, mailMd5, link, ua, ip, master, url,
+  href, comment, pid, rid, isSpam, created, updated, like, top, avatar, edited
+)
+SELECT
+  rowid, _id, uid, nick, mail, mailMd5, link, ua, ip, master, url,
+  href, comment, pid, rid, isSpam, created, updated, like, top, avatar, edited
+FROM comment`,
+      'DROP TABLE comment',
+      'ALTER TABLE comment_new RENAME TO comment',
+      'CREATE INDEX IF NOT EXISTS idx_comment_created ON comment (created DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_site_created ON comment (site, created DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_ip_created ON comment (ip, created DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_rid ON comment (rid)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_pid ON comment (pid)',
+      'CREATE INDEX IF NOT EXISTS idx_comment_uid ON comment (uid)', `
+CREATE TRIGGER IF NOT EXISTS comment_fts_insert AFTER INSERT ON comment BEGIN
+  INSERT INTO comment_fts (rowid, nick, mail, link, ip, comment, url, href)
+  VALUES (new.rowid, new.nick, new.mail, new.link, new.ip, new.comment, new.url, new.href);
+END`, `
+CREATE TRIGGER IF NOT EXISTS comment_fts_delete AFTER DELETE ON comment BEGIN
+  INSERT INTO comment_fts (comment_fts, rowid, nick, mail, link, ip, comment, url, href)
+  VALUES ('delete', old.rowid, old.nick, old.mail, old.link, old.ip, old.comment, old.url, old.href);
+END`, `
+CREATE TRIGGER IF NOT EXISTS comment_fts_update AFTER UPDATE OF nick, mail, link, ip, comment, url, href ON comment BEGIN
+  INSERT INTO comment_fts (comment_fts, rowid, nick, mail, link, ip, comment, url, href)
+  VALUES ('delete', old.rowid, old.nick, old.mail, old.link, old.ip, old.comment, old.url, old.href);
+  INSERT INTO comment_fts (rowid, nick, mail, link, ip, comment, url, href)
+  VALUES (new.rowid, new.nick, new.mail, new.link, new.ip, new.comment, new.url, new.href);
+END`,
+      // 原有数据归入默认站点（空字符串），此前只读取第一条配置
+      'DELETE FROM config WHERE rowid != (SELECT MIN(rowid) FROM config)',
+      'ALTER TABLE config ADD COLUMN site TEXT NOT NULL DEFAULT \'\'',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_config_site ON config (site)', `
+CREATE TABLE counter_new (
+  site TEXT NOT NULL DEFAULT '',
+  url TEXT NOT NULL,
+  title TEXT NOT NULL,
+  time INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (site, url)
+)`,
+      'INSERT INTO counter_new (url, title, time, created, updated) SELECT url, title, time, created, updated FROM counter',
+      'DROP TABLE counter',
+      'ALTER TABLE counter_new RENAME TO counter', `
+CREATE TABLE subscription_new (
+  site TEXT NOT NULL DEFAULT '',
+  mail TEXT NOT NULL,
+  url TEXT NOT NULL,
+  rid TEXT NOT NULL,
+  subscribed INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (site, mail, url, rid)
+)`, `
+INSERT INTO subscription_new (mail, url, rid, subscribed, created, updated)
+SELECT mail, url, rid, subscribed, created, updated FROM subscription`,
+      'DROP TABLE subscription',
+      'ALTER TABLE subscription_new RENAME TO subscription',
+      'CREATE INDEX IF NOT EXISTS idx_subscription_site_url_rid ON subscription (site, url, rid)',
+      // 统计由定时任务重新计算，无需保留
+      'DROP TABLE stats', `
+CREATE TABLE IF NOT EXISTS stats (
+  site TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  PRIMARY KEY (site, key)
+)`,
+      'ALTER TABLE session ADD COLUMN site TEXT NOT NULL DEFAULT \'\'',
+      'ALTER TABLE comment_history ADD COLUMN site TEXT NOT NULL DEFAULT \'\'',
+      'ALTER TABLE audit_log ADD COLUMN site TEXT NOT NULL DEFAULT \'\'',
+      'ALTER TABLE notification_outbox ADD COLUMN site TEXT NOT NULL DEFAULT \'\''
+    ]
+  },
+  {
+    version: 13,
+    description: '新增评论导入任务',
+    statements: [`
+CREATE TABLE IF NOT EXISTS import_job (
+  id TEXT NOT NULL PRIMARY KEY,
+  site TEXT NOT NULL,
+  source TEXT NOT NULL,
+  fileHash TEXT NOT NULL,
+  status TEXT NOT NULL,
+  total INTEGER NOT NULL,
+  processed INTEGER NOT NULL,
+  imported INTEGER NOT NULL,
+  skipped INTEGER NOT NULL,
+  error TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_import_job_site_created ON import_job (site, created DESC)',
+      // 导入时按评论 ID 去重，同时加快按 ID 读取评论
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_comment_id ON comment (_id)'
+    ]
+  },
+  {
+    version: 14,
+    description: '新增访客去重与每日访问统计',
+    statements: [`
+CREATE TABLE IF NOT EXISTS counter_visitor (
+  site TEXT NOT NULL,
+  url TEXT NOT NULL,
+  visitor TEXT NOT NULL,
+  expires INTEGER NOT NULL,
+  PRIMARY KEY (site, url, visitor)
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_counter_visitor_expires ON counter_visitor (expires)',
+      `
+CREATE TABLE IF NOT EXISTS counter_daily (
+  site TEXT NOT NULL,
+  url TEXT NOT NULL,
+  day TEXT NOT NULL,
+  views INTEGER NOT NULL,
+  PRIMARY KEY (site, url, day)
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_counter_daily_site_day ON counter_daily (site, day)'
+    ]
+  },
+  {
+    version: 15,
+    description: '新增评论表态表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS comment_reaction (
+  commentId TEXT NOT NULL,
+  uid TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  PRIMARY KEY (commentId, uid, kind)
+)`,
+      `
+CREATE TRIGGER IF NOT EXISTS comment_reaction_delete AFTER DELETE ON comment BEGIN
+  DELETE FROM comment_reaction WHERE commentId = old._id;
+END`,
+      // 将 comment.like 中的用户 ID 迁移为 like 表态，之后不再使用 like 字段
+      `
+INSERT OR IGNORE INTO comment_reaction (commentId, uid, kind, created)
+SELECT comment._id, json_each.value, 'like', comment.updated
+FROM comment, json_each(comment.like)
+WHERE json_valid(comment.like) AND json_type(comment.like) = 'array'`,
+      'UPDATE comment SET like = \'[]\' WHERE like != \'[]\''
+    ]
+  },
+  {
+    version: 16,
+    description: '新增 Webhook 投递记录',
+    statements: [`
+CREATE TABLE IF NOT EXISTS webhook_delivery (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  event TEXT NOT NULL,
+  commentId TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  responseStatus INTEGER NOT NULL,
+  response TEXT NOT NULL,
+  error TEXT NOT NULL,
+  nextAttempt INTEGER NOT NULL,
+  created INTEGER NOT NULL,
+  updated INTEGER NOT NULL
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_webhook_delivery_status_next ON webhook_delivery (status, nextAttempt)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_delivery_site_id ON webhook_delivery (site, id DESC)'
+    ]
+  },
+  {
+    version: 17,
+    description: '新增垃圾评论分类器',
+    statements: [
+      // 未评分、未训练的评论为 NULL
+      'ALTER TABLE comment ADD COLUMN spamScore REAL',
+      'ALTER TABLE comment ADD COLUMN spamLabel INTEGER', `
+CREATE TABLE IF NOT EXISTS spam_token (
+  site TEXT NOT NULL,
+  token TEXT NOT NULL,
+  spam INTEGER NOT NULL,
+  ham INTEGER NOT NULL,
+  PRIMARY KEY (site, token)
+)`
+    ]
+  },
+  {
+    version: 18,
+    description: '新增封禁列表',
+    statements: [`
+CREATE TABLE IF NOT EXISTS ban (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site TEXT NOT NULL,
+  type TEXT NOT NULL,
+  value TEXT NOT NULL,
+  rangeStart TEXT NOT NULL,
+  rangeEnd TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  expires INTEGER NOT NULL,
+  created INTEGER NOT NULL
+)`,
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_ban_site_type_value ON ban (site, type, value)',
+      'CREATE INDEX IF NOT EXISTS idx_ban_site_range ON ban (site, type, rangeStart)'
+    ]
+  },
+  {
+    version: 19,
+    description: '新增验证码挑战记录',
+    statements: [`
+CREATE TABLE IF NOT EXISTS captcha_nonce (
+  nonce TEXT NOT NULL PRIMARY KEY,
+  expires INTEGER NOT NULL
+)`,
+      'CREATE INDEX IF NOT EXISTS idx_captcha_nonce_expires ON captcha_nonce (expires)'
+    ]
+  },
+  {
+    version: 20,
+    description: '回复通知按收件人拆分任务',
+    statements: [
+      'ALTER TABLE notification_outbox ADD COLUMN recipient TEXT NOT NULL DEFAULT \'\''
+    ]
+  },
+  {
+    version: 21,
+    description: '预先生成签名密钥',
+    // 十六进制字符也是合法的 Base64URL 字符，可以直接作为密钥使用
+    statements: [`
+UPDATE config SET value = json_set(value,
+  '$.ADMIN_SESSION_SECRET', COALESCE(NULLIF(json_extract(value, '$.ADMIN_SESSION_SECRET'), ''), lower(hex(randomblob(32)))),
+  '$.CAPTCHA_SECRET', COALESCE(NULLIF(json_extract(value, '$.CAPTCHA_SECRET'), ''), lower(hex(randomblob(32)))),
+  '$.UNSUBSCRIBE_SECRET', COALESCE(NULLIF(json_extract(value, '$.UNSUBSCRIBE_SECRET'), ''), lower(hex(randomblob(32))))
+)
+WHERE json_valid(value)`
+    ]
+  },
+  {
+    version: 22,
+    description: '图片按站点记录',
+    statements: [
+      // 相同内容的图片在存储桶中只保存一份，每个站点各有一条记录；原有图片归入默认站点
+      `
+CREATE TABLE image_new (
+  site TEXT NOT NULL DEFAULT '',
+  hash TEXT NOT NULL,
+  key TEXT NOT NULL,
+  mime TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  uid TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  created INTEGER NOT NULL,
+  PRIMARY KEY (site, hash)
+)`,
+      'INSERT INTO image_new (hash, key, mime, size, uid, ip, created) SELECT hash, key, mime, size, uid, ip, created FROM image',
+      'DROP TABLE image',
+      'ALTER TABLE image_new RENAME TO image',
+      'CREATE INDEX IF NOT EXISTS idx_image_site_created ON image (site, created DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_image_hash ON image (hash)',
+      'CREATE INDEX IF NOT EXISTS idx_image_key ON image (key)'
+    ]
+  }
+]